@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Usage: npm run migrate -- up [version] | down [steps] | status
+const migrate = require('../lib/migrate');
+const pool = require('../lib/db');
+
+const label = m => `${String(m.version).padStart(3, '0')}_${m.name}`;
+
+async function main([command = 'status', arg]) {
+  if (command === 'up') {
+    const applied = await migrate.up({ to: arg ? parseInt(arg, 10) : undefined });
+    if (applied.length === 0) console.log('Already up to date');
+    applied.forEach(m => console.log(`Applied ${label(m)}`));
+  } else if (command === 'down') {
+    const reverted = await migrate.down({ steps: arg ? parseInt(arg, 10) : 1 });
+    if (reverted.length === 0) console.log('Nothing to revert');
+    reverted.forEach(m => console.log(`Reverted ${label(m)}`));
+  } else if (command === 'status') {
+    const migrations = await migrate.status();
+    migrations.forEach(m => {
+      console.log(`${m.applied_at ? 'applied' : 'pending'}  ${label(m)}${m.applied_at ? `  ${m.applied_at.toISOString()}` : ''}`);
+    });
+  } else {
+    throw new Error(`Unknown command "${command}" (expected up, down or status)`);
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,99 @@
+// Engagement analytics - view/download time-series, first-seen times and unseen content
+const pool = require('./db');
+
+const INTERVALS = ['day', 'week'];
+const MAX_PERIODS = 400;
+
+// Parse ?interval=&from=&to= (defaults to the last 30 days by day); returns { error } on bad input
+function parseRange(query) {
+  const interval = query.interval || 'day';
+  if (!INTERVALS.includes(interval)) return { error: 'interval must be day or week' };
+
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(from) || isNaN(to)) return { error: 'Invalid from/to date' };
+  if (from > to) return { error: 'from must be before to' };
+
+  const periodMs = (interval === 'week' ? 7 : 1) * 24 * 60 * 60 * 1000;
+  if ((to - from) / periodMs > MAX_PERIODS) return { error: 'Range too large' };
+
+  return { interval, from, to };
+}
+
+/**
+ * Build an engagement report for a set of projects.
+ * includeListViews also counts portal-level page views (no project) by the given clients.
+ */
+async function engagementReport({ projectIds, clientIds, includeListViews, interval, from, to }) {
+  const series = await pool.query(
+    `SELECT period,
+            COALESCE(v.views, 0)::int as views,
+            COALESCE(v.visitors, 0)::int as unique_visitors,
+            COALESCE(d.downloads, 0)::int as downloads
+     FROM generate_series(date_trunc($3, $5::timestamp), date_trunc($3, $6::timestamp), ('1 ' || $3)::interval) as period
+     LEFT JOIN (
+       SELECT date_trunc($3, viewed_at) as p, COUNT(*) as views, COUNT(DISTINCT COALESCE(contact_id, client_id)) as visitors
+       FROM client_views
+       WHERE (project_id = ANY($1) OR ($4 AND project_id IS NULL AND client_id = ANY($2)))
+         AND viewed_at BETWEEN $5 AND $6
+       GROUP BY 1
+     ) v ON v.p = period
+     LEFT JOIN (
+       SELECT date_trunc($3, fd.downloaded_at) as p, COUNT(*) as downloads
+       FROM file_downloads fd JOIN files f ON fd.file_id = f.id
+       WHERE f.project_id = ANY($1) AND fd.downloaded_at BETWEEN $5 AND $6
+       GROUP BY 1
+     ) d ON d.p = period
+     ORDER BY period`,
+    [projectIds, clientIds, interval, !!includeListViews, from, to]
+  );
+
+  const projects = await pool.query(
+    `SELECT pr.id, pr.name,
+            (SELECT COUNT(*) FROM client_views v WHERE v.project_id = pr.id AND v.viewed_at BETWEEN $2 AND $3)::int as views,
+            (SELECT COUNT(*) FROM file_downloads fd JOIN files f ON fd.file_id = f.id 
+             WHERE f.project_id = pr.id AND fd.downloaded_at BETWEEN $2 AND $3)::int as downloads
+     FROM projects pr WHERE pr.id = ANY($1) ORDER BY pr.created_at DESC`,
+    [projectIds, from, to]
+  );
+
+  // Updates count as seen once rendered in the portal, files once downloaded
+  const updates = await pool.query(
+    `SELECT 'update' as type, u.id, u.project_id, LEFT(u.content, 140) as title, u.created_at, MIN(r.first_seen_at) as first_seen_at
+     FROM updates u LEFT JOIN update_reads r ON r.update_id = u.id
+     WHERE u.project_id = ANY($1) AND u.author_type = 'user' AND u.deleted_at IS NULL
+     GROUP BY u.id ORDER BY u.created_at DESC`,
+    [projectIds]
+  );
+  const files = await pool.query(
+    `SELECT 'file' as type, f.id, f.project_id, f.name as title, f.created_at, MIN(fd.downloaded_at) as first_seen_at
+     FROM files f LEFT JOIN file_downloads fd ON fd.file_id = f.id
+     WHERE f.project_id = ANY($1) AND f.deleted_at IS NULL
+     GROUP BY f.id ORDER BY f.created_at DESC`,
+    [projectIds]
+  );
+  const content = [...updates.rows, ...files.rows].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+  const clients = await pool.query(
+    `SELECT c.id, c.name, c.email,
+            GREATEST(c.last_seen_at,
+                     (SELECT MAX(v.viewed_at) FROM client_views v WHERE v.client_id = c.id),
+                     (SELECT MAX(fd.downloaded_at) FROM file_downloads fd WHERE fd.client_id = c.id)) as last_active_at
+     FROM clients c
+     WHERE c.id = ANY($1) ORDER BY last_active_at DESC NULLS LAST`,
+    [clientIds]
+  );
+
+  return {
+    interval,
+    from,
+    to,
+    series: series.rows,
+    projects: projects.rows,
+    content,
+    unseen: content.filter(item => !item.first_seen_at),
+    clients: clients.rows
+  };
+}
+
+module.exports = { parseRange, engagementReport };
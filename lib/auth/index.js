@@ -0,0 +1,35 @@
+// Pluggable auth - AUTH_PROVIDER picks how freelancers sign in (sso | local)
+const providers = {
+  sso: () => require('./sso'),
+  local: () => require('./local')
+};
+
+const providerName = process.env.AUTH_PROVIDER || 'sso';
+if (!providers[providerName]) {
+  throw new Error(`Unknown AUTH_PROVIDER "${providerName}"`);
+}
+const provider = providers[providerName]();
+
+// Resolves req.user through the active provider
+async function requireAuth(req, res, next) {
+  let user = null;
+  try {
+    user = await provider.authenticate(req);
+  } catch (error) {
+    console.error('Auth error:', error.message);
+  }
+
+  if (user) {
+    req.user = user;
+    return next();
+  }
+
+  // For API calls, return 401
+  if (req.path.startsWith('/api/')) {
+    return res.status(401).json({ error: 'Not authenticated' });
+  }
+  // For page requests, redirect to the provider's login
+  res.redirect(provider.loginUrl(req));
+}
+
+module.exports = { provider, requireAuth };
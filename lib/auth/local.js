@@ -0,0 +1,86 @@
+// Local accounts provider - users table, bcrypt passwords and JWT cookie sessions
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { nanoid } = require('nanoid');
+const pool = require('../db');
+
+const SESSION_COOKIE = 'handoff_session';
+const SESSION_MAX_AGE = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+let secret = process.env.JWT_SECRET;
+if (!secret) {
+  // Sessions won't survive a restart, but local mode still works out of the box
+  console.warn('JWT_SECRET not set - using a random secret for this process');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+function publicUser(row) {
+  return { id: row.id, email: row.email, name: row.name };
+}
+
+async function createUser({ email, password, name }) {
+  const id = nanoid(12);
+  const passwordHash = await bcrypt.hash(password, 10);
+  const result = await pool.query(
+    'INSERT INTO users (id, email, name, password_hash) VALUES ($1, $2, $3, $4) RETURNING *',
+    [id, email.trim().toLowerCase(), name || null, passwordHash]
+  );
+  return publicUser(result.rows[0]);
+}
+
+async function verifyCredentials(email, password) {
+  const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.trim().toLowerCase()]);
+  if (result.rows.length === 0) return null;
+  const valid = await bcrypt.compare(password, result.rows[0].password_hash);
+  return valid ? publicUser(result.rows[0]) : null;
+}
+
+function issueSession(res, user) {
+  const token = jwt.sign({ sub: user.id }, secret, { expiresIn: SESSION_MAX_AGE / 1000 });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.COOKIE_SECURE === 'true',
+    maxAge: SESSION_MAX_AGE
+  });
+}
+
+function clearSession(res) {
+  res.clearCookie(SESSION_COOKIE);
+}
+
+async function authenticate(req) {
+  const token = req.cookies[SESSION_COOKIE];
+  if (!token) return null;
+
+  let payload;
+  try {
+    payload = jwt.verify(token, secret);
+  } catch (e) {
+    return null;
+  }
+
+  // Re-read the user so deleted accounts lose access immediately
+  const result = await pool.query('SELECT * FROM users WHERE id = $1', [payload.sub]);
+  return result.rows.length ? publicUser(result.rows[0]) : null;
+}
+
+function loginUrl(req) {
+  return `/login?next=${encodeURIComponent(req.originalUrl)}`;
+}
+
+function logoutUrl() {
+  return '/login';
+}
+
+module.exports = {
+  name: 'local',
+  authenticate,
+  loginUrl,
+  logoutUrl,
+  createUser,
+  verifyCredentials,
+  issueSession,
+  clearSession
+};
@@ -0,0 +1,31 @@
+// SSO provider - validates the next-auth session against the central auth service
+const SSO_URL = process.env.SSO_URL || 'https://auth.jdms.nl';
+const APP_URL = process.env.APP_URL || 'https://handoff.jdms.nl';
+
+async function authenticate(req) {
+  const sessionToken = req.cookies['__Secure-next-auth.session-token'] ||
+                       req.cookies['next-auth.session-token'];
+  if (!sessionToken) return null;
+
+  try {
+    const response = await fetch(`${SSO_URL}/api/validate`, {
+      headers: { Cookie: `__Secure-next-auth.session-token=${sessionToken}` }
+    });
+    const data = await response.json();
+    if (data.valid) return data.user;
+  } catch (error) {
+    console.error('Auth validation error:', error.message);
+  }
+  return null;
+}
+
+function loginUrl(req) {
+  const callbackUrl = encodeURIComponent(`${APP_URL}${req.originalUrl}`);
+  return `${SSO_URL}/login?callbackUrl=${callbackUrl}`;
+}
+
+function logoutUrl() {
+  return `${SSO_URL}/api/auth/signout?callbackUrl=${encodeURIComponent(SSO_URL)}`;
+}
+
+module.exports = { name: 'sso', authenticate, loginUrl, logoutUrl };
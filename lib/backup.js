@@ -0,0 +1,377 @@
+// Backup - ZIP export of a portal or a client (data.json plus the stored files) and its import
+const yazl = require('yazl');
+const yauzl = require('yauzl');
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const storage = require('./storage');
+const workflows = require('./workflows');
+
+const FORMAT = 'handoff-export';
+const VERSION = 1;
+const MAX_DATA_BYTES = 256 * 1024 * 1024;
+const USER = 'user'; // columns holding a user id; they become the importing user
+
+// How a table (as x) reaches its client c, for the scope of a client or portal export
+const CLIENT = 'JOIN clients c ON x.client_id = c.id';
+const PROJECT = 'JOIN projects pr ON x.project_id = pr.id JOIN clients c ON pr.client_id = c.id';
+const through = (table, column) =>
+  `JOIN ${table} y ON x.${column} = y.id JOIN projects pr ON y.project_id = pr.id JOIN clients c ON pr.client_id = c.id`;
+
+const COMMENT_TARGETS = { task: 'tasks', file: 'files', update: 'updates' };
+
+/**
+ * Everything an export holds, parents first - the order rows are imported in. portalOnly tables
+ * belong to the portal (scoped by that column) and are left out of client exports. refs name
+ * the table each id column points at: ids found there are replaced by the new ones, others
+ * become NULL, and rows pointing at a row the import dropped are dropped too. Functions are
+ * polymorphic columns without a foreign key, picking the table from the row; a row whose id
+ * can't be found there is dropped, so an archive can't point at another portal's rows.
+ * Tables with key: false have no id column; filter leaves rows out of the export.
+ */
+const TABLES = [
+  { name: 'portals', portalOnly: 'x.id', refs: { user_id: USER } },
+  { name: 'notification_settings', portalOnly: 'x.portal_id', key: false, refs: { portal_id: 'portals' } },
+  { name: 'billing_sequences', portalOnly: 'x.portal_id', key: false, refs: { portal_id: 'portals' } },
+  { name: 'project_templates', portalOnly: 'x.portal_id', refs: { portal_id: 'portals' } },
+  { name: 'clients', join: 'JOIN clients c ON x.id = c.id', refs: { portal_id: 'portals' } },
+  { name: 'client_contacts', join: CLIENT, refs: { client_id: 'clients' } },
+  { name: 'projects', join: CLIENT, refs: { client_id: 'clients', template_id: 'project_templates' } },
+  { name: 'tasks', join: PROJECT, refs: { project_id: 'projects' } },
+  {
+    name: 'updates', join: PROJECT,
+    refs: { project_id: 'projects', author_id: row => (row.author_type === 'client' ? 'clients' : USER), contact_id: 'client_contacts' }
+  },
+  {
+    name: 'comments', join: PROJECT, order: 'x.created_at', // replies after their parents
+    refs: {
+      project_id: 'projects',
+      parent_id: 'comments',
+      target_id: row => COMMENT_TARGETS[row.target_type],
+      author_id: row => (row.author_type === 'contact' ? 'client_contacts' : USER)
+    }
+  },
+  { name: 'comment_revisions', join: through('comments', 'comment_id'), refs: { comment_id: 'comments' } },
+  {
+    name: 'comment_mentions', join: through('comments', 'comment_id'), key: false,
+    refs: { comment_id: 'comments', mention_id: row => (row.mention_type === 'contact' ? 'client_contacts' : USER) }
+  },
+  {
+    name: 'files', join: PROJECT,
+    refs: { project_id: 'projects', update_id: 'updates', comment_id: 'comments', uploaded_by: uploader }
+  },
+  {
+    name: 'file_versions', join: through('files', 'file_id'),
+    refs: { file_id: 'files', object_id: 'storage_objects', uploaded_by: uploader }
+  },
+  { name: 'project_file_slots', join: PROJECT, refs: { project_id: 'projects', file_id: 'files' } },
+  {
+    name: 'file_downloads', join: through('files', 'file_id'),
+    refs: { file_id: 'files', client_id: 'clients', version_id: 'file_versions', contact_id: 'client_contacts' }
+  },
+  { name: 'client_views', join: CLIENT, refs: { client_id: 'clients', project_id: 'projects', contact_id: 'client_contacts' } },
+  { name: 'update_reads', join: through('updates', 'update_id'), key: false, refs: { update_id: 'updates', client_id: 'clients' } },
+  {
+    name: 'approvals', join: PROJECT,
+    refs: { project_id: 'projects', target_id: row => (row.target_type === 'file' ? 'files' : 'projects'), requested_by: USER }
+  },
+  {
+    name: 'approval_events', join: through('approvals', 'approval_id'),
+    refs: { approval_id: 'approvals', actor_id: row => (row.actor_type === 'client' ? 'client_contacts' : USER) }
+  },
+  {
+    name: 'task_activity', join: PROJECT,
+    refs: { project_id: 'projects', task_id: () => 'tasks', actor_id: USER }
+  },
+  {
+    name: 'time_entries', join: through('tasks', 'task_id'), filter: 'x.ended_at IS NOT NULL',
+    refs: { task_id: 'tasks', user_id: USER }
+  },
+  {
+    name: 'billing_documents', join: PROJECT,
+    refs: { project_id: 'projects', created_by: USER, accepted_by: 'clients', accepted_contact_id: 'client_contacts' }
+  },
+  { name: 'billing_line_items', join: through('billing_documents', 'document_id'), refs: { document_id: 'billing_documents' } },
+  {
+    name: 'billing_document_views', join: through('billing_documents', 'document_id'),
+    refs: { document_id: 'billing_documents', client_id: 'clients', contact_id: 'client_contacts' }
+  },
+  { name: 'jobs', portalOnly: 'x.portal_id', refs: { portal_id: 'portals', project_id: 'projects' } }
+];
+
+// Files are uploaded by you or by one of the client's people
+function uploader(row, ids) {
+  return ids.client_contacts.has(row.uploaded_by) ? 'client_contacts' : USER;
+}
+
+// Magic links are credentials - imported contacts get fresh ones
+const OMITTED = { client_contacts: ['access_token'] };
+
+// Columns an archive doesn't get to set on this instance
+const NOT_IMPORTED = { portals: ['storage_quota_bytes'] };
+
+async function dump({ portalId, clientId }) {
+  const tables = {};
+  for (const t of TABLES) {
+    if (clientId && t.portalOnly) continue;
+    const where = t.portalOnly ? `${t.portalOnly} = $1` : clientId ? 'c.id = $1' : 'c.portal_id = $1';
+    const result = await pool.query(
+      `SELECT to_jsonb(x) as row FROM ${t.name} x ${t.join || ''} WHERE ${where}${t.filter ? ` AND ${t.filter}` : ''}${t.order ? ` ORDER BY ${t.order}` : ''}`,
+      [clientId || portalId]
+    );
+    tables[t.name] = result.rows.map(({ row }) => {
+      for (const column of OMITTED[t.name] || []) delete row[column];
+      return row;
+    });
+  }
+
+  const objectIds = [...new Set(tables.file_versions.map(v => v.object_id).filter(Boolean))];
+  const objects = await pool.query(
+    'SELECT id, storage_key, checksum, size, mime_type FROM storage_objects WHERE id = ANY($1) ORDER BY created_at',
+    [objectIds]
+  );
+  return { tables, objects: objects.rows };
+}
+
+/**
+ * ZIP of a portal (clientId left out) or of one of its clients: data.json with every row of
+ * the tables above plus files/<object id> for each stored file. Trashed items are included so
+ * a restore is complete; webhooks, custom domains and notifications are not. Returns { zip, counts }:
+ * pipe zip.outputStream into the response, files are read one at a time as it goes.
+ */
+async function exportArchive({ portalId, clientId = null }) {
+  const { tables, objects } = await dump({ portalId, clientId });
+  const schema = await pool.query('SELECT MAX(version) as version FROM schema_migrations');
+  const data = {
+    format: FORMAT,
+    version: VERSION,
+    scope: clientId ? 'client' : 'portal',
+    exported_at: new Date().toISOString(),
+    schema_version: schema.rows[0].version,
+    source: { portal_id: portalId, client_id: clientId, task_stages: await workflows.portalStages(portalId) },
+    storage_objects: objects.map(o => ({ ...o, size: parseInt(o.size, 10) })),
+    tables
+  };
+
+  const zip = new yazl.ZipFile();
+  zip.addBuffer(Buffer.from(JSON.stringify(data, null, 2)), 'data.json');
+  for (const object of objects) {
+    zip.addReadStreamLazy(`files/${object.id}`, cb => storage.read(object.id).then(stream => cb(null, stream), cb));
+  }
+  zip.end();
+  return { zip, counts: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.length])) };
+}
+
+// Every entry of a ZIP by name; the file stays open until close()
+function openArchive(path) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(path, { lazyEntries: true, autoClose: false }, (error, zip) => {
+      if (error) return reject(error);
+      const entries = new Map();
+      zip.on('entry', entry => {
+        entries.set(entry.fileName, entry);
+        zip.readEntry();
+      });
+      zip.on('end', () => resolve({ zip, entries }));
+      zip.on('error', reject);
+      zip.readEntry();
+    });
+  });
+}
+
+function openEntry(zip, entry) {
+  return new Promise((resolve, reject) => {
+    zip.openReadStream(entry, (error, stream) => (error ? reject(error) : resolve(stream)));
+  });
+}
+
+async function readData(zip, entries) {
+  const entry = entries.get('data.json');
+  if (!entry) return { error: 'Not a Handoff export (no data.json)' };
+  if (entry.uncompressedSize > MAX_DATA_BYTES) return { error: 'data.json is too large' };
+
+  const chunks = [];
+  for await (const chunk of await openEntry(zip, entry)) chunks.push(chunk);
+  let data;
+  try {
+    data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+  } catch (e) {
+    return { error: 'data.json is not valid JSON' };
+  }
+  if (data?.format !== FORMAT || !data.tables || !Array.isArray(data.storage_objects)) return { error: 'Not a Handoff export' };
+  if (data.version > VERSION) return { error: `Export format version ${data.version} is newer than this instance supports` };
+
+  const missing = data.storage_objects.find(o => !entries.has(`files/${o.id}`));
+  if (missing) return { error: `File ${missing.id} is missing from the archive` };
+  return { data };
+}
+
+async function columnsOf(db, table) {
+  const result = await db.query(
+    'SELECT column_name FROM information_schema.columns WHERE table_schema = current_schema() AND table_name = $1',
+    [table]
+  );
+  return new Set(result.rows.map(r => r.column_name));
+}
+
+// A row ready for this instance: only columns it has, ids remapped, JSONB as text. null when
+// the row has to be dropped; dropped holds the old ids of rows dropped so far, per table.
+function remapRow(t, row, ids, { userId, columns, dropped }) {
+  const values = {};
+  for (const [column, value] of Object.entries(row)) {
+    if (columns.has(column) && !NOT_IMPORTED[t.name]?.includes(column)) values[column] = value;
+  }
+  if (t.key !== false) values.id = ids[t.name].get(row.id);
+
+  for (const [column, ref] of Object.entries(t.refs)) {
+    if (values[column] === null || values[column] === undefined) continue;
+    const target = typeof ref === 'function' ? ref(row, ids) : ref;
+    if (target === USER) {
+      values[column] = userId;
+      continue;
+    }
+    const id = target && ids[target]?.get(values[column]);
+    if (!id && (typeof ref === 'function' || dropped[target]?.has(values[column]))) return null;
+    values[column] = id || null;
+  }
+
+  for (const [column, value] of Object.entries(values)) {
+    if (value !== null && typeof value === 'object') values[column] = JSON.stringify(value);
+  }
+  return values;
+}
+
+/**
+ * Restore an export from a ZIP on disk. A portal export becomes a new portal of the user
+ * (subdomain and name can be overridden); a client export goes into the existing portal
+ * portalId. Every row gets a new id, so an export can be imported next to its original.
+ * Contacts get new magic links, jobs come in paused, stored files are copied into this
+ * instance's storage, and it all lands in one transaction. Returns { portal } or { client },
+ * or { error, code } with code INVALID, CONFLICT or QUOTA.
+ */
+async function importArchive(path, { userId, portalId = null, subdomain, name }) {
+  const { zip, entries } = await openArchive(path).catch(() => ({}));
+  if (!zip) return { error: 'Not a ZIP file', code: 'INVALID' };
+
+  const stored = [];
+  try {
+    const { data, error } = await readData(zip, entries);
+    if (error) return { error, code: 'INVALID' };
+
+    const expected = portalId ? 'client' : 'portal';
+    if (data.scope !== expected) {
+      return { error: `This is a ${data.scope} export - import it ${data.scope === 'client' ? 'into a portal' : 'as a new portal'}`, code: 'INVALID' };
+    }
+    const tables = Object.fromEntries(TABLES.map(t => [
+      t.name,
+      Array.isArray(data.tables[t.name]) && !(portalId && t.portalOnly) ? data.tables[t.name] : []
+    ]));
+    if ((portalId ? tables.clients : tables.portals).length !== 1) return { error: 'Export holds no single client or portal', code: 'INVALID' };
+
+    const portalRow = tables.portals[0];
+    if (portalRow) {
+      portalRow.subdomain = subdomain || portalRow.subdomain;
+      portalRow.name = name || portalRow.name;
+      portalRow.deleted_at = null;
+      const taken = await pool.query('SELECT id FROM portals WHERE subdomain = $1 AND deleted_at IS NULL', [portalRow.subdomain]);
+      if (taken.rows.length > 0) return { error: 'Subdomain taken by another portal', code: 'CONFLICT' };
+    } else {
+      const client = tables.clients[0];
+      if (client.deleted_at === null) {
+        const taken = await pool.query('SELECT id FROM clients WHERE portal_id = $1 AND email = $2 AND deleted_at IS NULL', [portalId, client.email]);
+        if (taken.rows.length > 0) return { error: 'Client email already exists', code: 'CONFLICT' };
+      }
+
+      const incoming = data.storage_objects.reduce((sum, o) => sum + (Number(o.size) || 0), 0);
+      const usage = await storage.usage(portalId);
+      if (usage.quota_bytes !== null && usage.used_bytes + incoming > usage.quota_bytes) {
+        return { error: 'Storage quota exceeded', code: 'QUOTA' };
+      }
+    }
+
+    // Files first, outside the transaction; whatever ends up unused is removed below
+    const ids = Object.fromEntries(TABLES.map(t => [t.name, new Map()]));
+    ids.storage_objects = new Map();
+    const paths = new Map();
+    for (const object of data.storage_objects) {
+      const result = await storage.store(await openEntry(zip, entries.get(`files/${object.id}`)), { contentType: object.mime_type });
+      stored.push(result.objectId);
+      ids.storage_objects.set(object.id, result.objectId);
+      if (object.storage_key) paths.set(object.storage_key, result.path);
+    }
+
+    for (const t of TABLES) {
+      if (t.key === false) continue;
+      for (const row of tables[t.name]) ids[t.name].set(row.id, nanoid(12));
+    }
+    if (portalId) ids.portals.set(data.source?.portal_id || tables.clients[0].portal_id, portalId);
+    const targetPortal = portalId || ids.portals.get(portalRow.id);
+
+    // A client's projects on the old portal's default stages keep them when this portal's differ
+    let sourceStages = null;
+    if (portalId && data.source?.task_stages) {
+      const stages = await workflows.portalStages(portalId);
+      if (JSON.stringify(stages) !== JSON.stringify(data.source.task_stages)) sourceStages = data.source.task_stages;
+    }
+
+    const dropped = Object.fromEntries(TABLES.map(t => [t.name, new Set()]));
+    const counts = Object.fromEntries(TABLES.map(t => [t.name, 0]));
+    const db = await pool.connect();
+    try {
+      await db.query('BEGIN');
+      for (const t of TABLES) {
+        if (tables[t.name].length === 0) continue;
+        const columns = await columnsOf(db, t.name);
+        for (const row of tables[t.name]) {
+          const values = remapRow(t, row, ids, { userId, columns, dropped });
+          if (!values) {
+            if (t.key !== false) {
+              ids[t.name].delete(row.id);
+              dropped[t.name].add(row.id);
+            }
+            continue;
+          }
+          // Running timers stay where they run: yours here may be going already
+          if (t.name === 'time_entries' && !values.ended_at) continue;
+          counts[t.name]++;
+          if (t.name === 'clients' && portalId) values.portal_id = portalId;
+          if (t.name === 'client_contacts') values.access_token = nanoid(64);
+          if (t.name === 'projects' && sourceStages && values.task_stages === null) values.task_stages = JSON.stringify(sourceStages);
+          if (t.name === 'files' || t.name === 'file_versions') values.file_path = paths.get(values.file_path) || '';
+          if (t.name === 'jobs') Object.assign(values, { active: false, locked_until: null, locked_by: null });
+
+          const names = Object.keys(values);
+          await db.query(
+            `INSERT INTO ${t.name} (${names.join(', ')}) VALUES (${names.map((_, idx) => `$${idx + 1}`).join(', ')})`,
+            names.map(column => values[column])
+          );
+        }
+      }
+      await db.query('UPDATE storage_objects SET portal_id = $1 WHERE id = ANY($2)', [targetPortal, stored]);
+      await db.query('COMMIT');
+    } catch (error) {
+      await db.query('ROLLBACK');
+      throw error;
+    } finally {
+      db.release();
+    }
+    stored.length = 0;
+
+    if (portalId) {
+      const client = await pool.query('SELECT * FROM clients WHERE id = $1', [ids.clients.get(tables.clients[0].id)]);
+      return { client: client.rows[0], counts };
+    }
+    const portal = await pool.query('SELECT * FROM portals WHERE id = $1', [targetPortal]);
+    return { portal: portal.rows[0], counts };
+  } finally {
+    zip.close();
+    if (stored.length > 0) await storage.removeUnreferenced(stored).catch(error => console.error('Import cleanup failed:', error.message));
+  }
+}
+
+module.exports = {
+  FORMAT,
+  VERSION,
+  TABLES,
+  exportArchive,
+  importArchive
+};
@@ -0,0 +1,418 @@
+// Quotes and invoices - line items, totals in cents, per-portal numbering and HTML/PDF rendering
+const PDFDocument = require('pdfkit');
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const { escapeHtml } = require('./html');
+const outbound = require('./outbound');
+
+const KINDS = ['quote', 'invoice'];
+const NUMBER_PREFIX = { quote: 'Q', invoice: 'INV' };
+// Where an issued document can go from 'sent' (drafts are only ever issued or deleted)
+const TRANSITIONS = {
+  quote: { sent: ['void'], accepted: ['void'] },
+  invoice: { sent: ['paid', 'void'], paid: ['sent'] }
+};
+const MAX_ITEMS = 200;
+const LOGO_TIMEOUT_MS = 5000;
+const MAX_LOGO_BYTES = 2 * 1024 * 1024;
+
+function isCurrency(code) {
+  if (!/^[A-Z]{3}$/.test(code)) return false;
+  try {
+    new Intl.NumberFormat('en', { style: 'currency', currency: code });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function formatMoney(cents, currency) {
+  return new Intl.NumberFormat('en', { style: 'currency', currency }).format(Number(cents) / 100);
+}
+
+function formatDate(date) {
+  return date ? new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }) : '';
+}
+
+// Validate a create/edit body; unit_price is in major units (12.50), stored as cents. Returns { error } on bad input.
+function parseDocument(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial) {
+    if (!KINDS.includes(body.kind)) return { error: `kind must be one of: ${KINDS.join(', ')}` };
+    fields.kind = body.kind;
+  }
+  if (body.currency !== undefined) {
+    const currency = String(body.currency).toUpperCase();
+    if (!isCurrency(currency)) return { error: 'currency must be an ISO 4217 code like EUR' };
+    fields.currency = currency;
+  }
+  if (body.tax_rate !== undefined) {
+    const rate = Number(body.tax_rate);
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) return { error: 'tax_rate must be a percentage between 0 and 100' };
+    fields.tax_rate = rate;
+  }
+  if (body.due_date !== undefined) {
+    if (body.due_date && isNaN(new Date(body.due_date))) return { error: 'Invalid due_date' };
+    fields.due_date = body.due_date || null;
+  }
+  if (body.notes !== undefined) fields.notes = body.notes || null;
+
+  if (body.items !== undefined || !partial) {
+    if (!Array.isArray(body.items) || body.items.length === 0) return { error: 'At least one line item is required' };
+    if (body.items.length > MAX_ITEMS) return { error: `At most ${MAX_ITEMS} line items` };
+    fields.items = [];
+    for (const item of body.items) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return { error: 'Every line item must be an object' };
+      const quantity = Number(item.quantity ?? 1);
+      const unitPrice = Number(item.unit_price);
+      if (!item.description || !String(item.description).trim()) return { error: 'Every line item needs a description' };
+      if (!Number.isFinite(quantity) || quantity <= 0) return { error: 'Quantities must be positive numbers' };
+      if (!Number.isFinite(unitPrice)) return { error: 'Every line item needs a unit_price' };
+      const unitPriceCents = Math.round(unitPrice * 100);
+      fields.items.push({
+        description: String(item.description).trim(),
+        quantity,
+        unit_price_cents: unitPriceCents,
+        amount_cents: Math.round(quantity * unitPriceCents)
+      });
+    }
+  }
+
+  return { fields };
+}
+
+function totals(items, taxRate) {
+  const subtotal = items.reduce((sum, item) => sum + Number(item.amount_cents), 0);
+  const tax = Math.round(subtotal * Number(taxRate) / 100);
+  return { subtotal_cents: subtotal, tax_cents: tax, total_cents: subtotal + tax };
+}
+
+async function replaceItems(db, documentId, items) {
+  await db.query('DELETE FROM billing_line_items WHERE document_id = $1', [documentId]);
+  for (const [position, item] of items.entries()) {
+    await db.query(
+      `INSERT INTO billing_line_items (id, document_id, position, description, quantity, unit_price_cents, amount_cents)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [nanoid(12), documentId, position, item.description, item.quantity, item.unit_price_cents, item.amount_cents]
+    );
+  }
+}
+
+async function transaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function createDraft(projectId, userId, fields) {
+  const id = nanoid(12);
+  const sums = totals(fields.items, fields.tax_rate || 0);
+  await transaction(async db => {
+    await db.query(
+      `INSERT INTO billing_documents (id, project_id, kind, currency, tax_rate, subtotal_cents, tax_cents, total_cents, notes, due_date, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [id, projectId, fields.kind, fields.currency || 'EUR', fields.tax_rate || 0,
+        sums.subtotal_cents, sums.tax_cents, sums.total_cents, fields.notes || null, fields.due_date || null, userId]
+    );
+    await replaceItems(db, id, fields.items);
+  });
+  return id;
+}
+
+// Edit a draft; totals are recomputed from whatever items and tax rate end up on it
+async function updateDraft(documentId, fields) {
+  await transaction(async db => {
+    const current = await db.query('SELECT * FROM billing_documents WHERE id = $1 FOR UPDATE', [documentId]);
+    const doc = { ...current.rows[0], ...fields };
+    if (fields.items) await replaceItems(db, documentId, fields.items);
+    const items = await db.query('SELECT amount_cents FROM billing_line_items WHERE document_id = $1', [documentId]);
+    const sums = totals(items.rows, doc.tax_rate);
+
+    await db.query(
+      `UPDATE billing_documents SET currency = $1, tax_rate = $2, notes = $3, due_date = $4,
+              subtotal_cents = $5, tax_cents = $6, total_cents = $7, updated_at = NOW() WHERE id = $8`,
+      [doc.currency, doc.tax_rate, doc.notes, doc.due_date, sums.subtotal_cents, sums.tax_cents, sums.total_cents, documentId]
+    );
+  });
+}
+
+// Draft -> sent, taking the next number of the portal's sequence for this kind. Returns the number, or null if not a draft.
+async function issue(documentId, portalId) {
+  return transaction(async db => {
+    const doc = await db.query('SELECT kind, status FROM billing_documents WHERE id = $1 FOR UPDATE', [documentId]);
+    if (doc.rows[0].status !== 'draft') return null;
+
+    const kind = doc.rows[0].kind;
+    const seq = await db.query(
+      `INSERT INTO billing_sequences (portal_id, kind, last_number) VALUES ($1, $2, 1)
+       ON CONFLICT (portal_id, kind) DO UPDATE SET last_number = billing_sequences.last_number + 1
+       RETURNING last_number`,
+      [portalId, kind]
+    );
+    const number = `${NUMBER_PREFIX[kind]}-${String(seq.rows[0].last_number).padStart(4, '0')}`;
+    await db.query(
+      `UPDATE billing_documents SET status = 'sent', number = $1, issue_date = CURRENT_DATE, updated_at = NOW() WHERE id = $2`,
+      [number, documentId]
+    );
+    return number;
+  });
+}
+
+function canTransition(doc, status) {
+  return (TRANSITIONS[doc.kind][doc.status] || []).includes(status);
+}
+
+// Everything a rendering needs: document, items, and the branding/recipient around it
+async function loadForRender(documentId) {
+  const doc = await pool.query(
+    `SELECT d.*, pr.name as project_name, c.name as client_name, c.email as client_email,
+            p.name as portal_name, p.logo_url, p.accent_color
+     FROM billing_documents d JOIN projects pr ON d.project_id = pr.id
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id
+     WHERE d.id = $1`,
+    [documentId]
+  );
+  if (doc.rows.length === 0) return null;
+  const items = await pool.query('SELECT * FROM billing_line_items WHERE document_id = $1 ORDER BY position', [documentId]);
+  return { ...doc.rows[0], items: items.rows };
+}
+
+function title(doc) {
+  const name = doc.kind === 'quote' ? 'Quote' : 'Invoice';
+  return doc.number ? `${name} ${doc.number}` : `${name} (draft)`;
+}
+
+function statusNote(doc) {
+  if (doc.status === 'accepted') return `Accepted on ${formatDate(doc.accepted_at)}`;
+  if (doc.status === 'paid') return `Paid on ${formatDate(doc.paid_at)}`;
+  if (doc.status === 'void') return 'Void';
+  if (doc.status === 'draft') return 'Draft - not issued yet';
+  return null;
+}
+
+function renderHtml(doc) {
+  const accent = /^#[0-9a-f]{6}$/i.test(doc.accent_color || '') ? doc.accent_color : '#6366f1';
+  const money = cents => escapeHtml(formatMoney(cents, doc.currency));
+  const note = statusNote(doc);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHtml(title(doc))} - ${escapeHtml(doc.portal_name)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', sans-serif; color: #111827; background: #f9fafb; margin: 0; padding: 32px 16px; }
+    .sheet { max-width: 800px; margin: 0 auto; background: #fff; border-top: 6px solid ${accent}; border-radius: 12px; padding: 40px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+    header { display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 32px; }
+    header img { max-height: 48px; max-width: 200px; }
+    h1 { color: ${accent}; font-size: 24px; margin: 0 0 4px; }
+    .muted { color: #6b7280; font-size: 14px; }
+    .status { display: inline-block; margin-top: 8px; padding: 2px 10px; border-radius: 999px; background: #f3f4f6; font-size: 13px; }
+    .meta { display: flex; justify-content: space-between; margin-bottom: 32px; font-size: 14px; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; border-bottom: 2px solid ${accent}; padding: 8px 4px; }
+    td { border-bottom: 1px solid #e5e7eb; padding: 8px 4px; vertical-align: top; }
+    .num { text-align: right; white-space: nowrap; }
+    .totals td { border: none; }
+    .totals .grand td { font-weight: 600; font-size: 16px; border-top: 2px solid ${accent}; }
+    .notes { margin-top: 32px; font-size: 14px; white-space: pre-wrap; }
+  </style>
+</head>
+<body>
+  <div class="sheet">
+    <header>
+      <div>
+        ${doc.logo_url ? `<img src="${escapeHtml(doc.logo_url)}" alt="${escapeHtml(doc.portal_name)}">` : `<strong>${escapeHtml(doc.portal_name)}</strong>`}
+      </div>
+      <div style="text-align: right">
+        <h1>${escapeHtml(title(doc))}</h1>
+        ${doc.issue_date ? `<div class="muted">Issued ${escapeHtml(formatDate(doc.issue_date))}</div>` : ''}
+        ${doc.due_date ? `<div class="muted">${doc.kind === 'quote' ? 'Valid until' : 'Due'} ${escapeHtml(formatDate(doc.due_date))}</div>` : ''}
+        ${note ? `<div class="status">${escapeHtml(note)}</div>` : ''}
+      </div>
+    </header>
+    <div class="meta">
+      <div>
+        <div class="muted">${doc.kind === 'quote' ? 'Prepared for' : 'Bill to'}</div>
+        <strong>${escapeHtml(doc.client_name)}</strong><br>${escapeHtml(doc.client_email)}
+      </div>
+      <div style="text-align: right">
+        <div class="muted">Project</div>
+        <strong>${escapeHtml(doc.project_name)}</strong>
+      </div>
+    </div>
+    <table>
+      <thead><tr><th>Description</th><th class="num">Qty</th><th class="num">Unit price</th><th class="num">Amount</th></tr></thead>
+      <tbody>
+        ${doc.items.map(item => `
+        <tr>
+          <td>${escapeHtml(item.description)}</td>
+          <td class="num">${escapeHtml(Number(item.quantity))}</td>
+          <td class="num">${money(item.unit_price_cents)}</td>
+          <td class="num">${money(item.amount_cents)}</td>
+        </tr>`).join('')}
+      </tbody>
+      <tbody class="totals">
+        <tr><td colspan="3" class="num">Subtotal</td><td class="num">${money(doc.subtotal_cents)}</td></tr>
+        <tr><td colspan="3" class="num">Tax (${escapeHtml(Number(doc.tax_rate))}%)</td><td class="num">${money(doc.tax_cents)}</td></tr>
+        <tr class="grand"><td colspan="3" class="num">Total</td><td class="num">${money(doc.total_cents)}</td></tr>
+      </tbody>
+    </table>
+    ${doc.notes ? `<div class="notes">${escapeHtml(doc.notes)}</div>` : ''}
+  </div>
+</body>
+</html>`;
+}
+
+// PNG/JPEG logos only (all pdfkit embeds), from public addresses like webhooks; anything else
+// just leaves the logo out
+async function fetchLogo(url) {
+  if (!url) return null;
+  try {
+    const res = await outbound.request(url, { timeoutMs: LOGO_TIMEOUT_MS });
+    if (res.statusCode < 200 || res.statusCode >= 300 || !/^image\/(png|jpe?g)/.test(res.headers['content-type'] || '')) {
+      res.resume();
+      return null;
+    }
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of res) {
+      size += chunk.length;
+      if (size > MAX_LOGO_BYTES) {
+        res.destroy();
+        return null;
+      }
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  } catch {
+    return null;
+  }
+}
+
+async function renderPdf(doc) {
+  const accent = /^#[0-9a-f]{6}$/i.test(doc.accent_color || '') ? doc.accent_color : '#6366f1';
+  const money = cents => formatMoney(cents, doc.currency);
+  const logo = await fetchLogo(doc.logo_url);
+  const pdf = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title(doc), Author: doc.portal_name } });
+
+  const chunks = [];
+  pdf.on('data', chunk => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+  });
+
+  const left = 50;
+  const right = pdf.page.width - 50;
+  const width = right - left;
+
+  pdf.rect(0, 0, pdf.page.width, 8).fill(accent);
+
+  // Header: branding left, title and dates right
+  if (logo) {
+    try {
+      pdf.image(logo, left, 40, { fit: [160, 48] });
+    } catch {
+      pdf.fillColor('#111827').fontSize(14).font('Helvetica-Bold').text(doc.portal_name, left, 50);
+    }
+  } else {
+    pdf.fillColor('#111827').fontSize(14).font('Helvetica-Bold').text(doc.portal_name, left, 50);
+  }
+  pdf.fillColor(accent).fontSize(20).font('Helvetica-Bold').text(title(doc), left, 40, { width, align: 'right' });
+  pdf.fillColor('#6b7280').fontSize(10).font('Helvetica');
+  if (doc.issue_date) pdf.text(`Issued ${formatDate(doc.issue_date)}`, { width, align: 'right' });
+  if (doc.due_date) pdf.text(`${doc.kind === 'quote' ? 'Valid until' : 'Due'} ${formatDate(doc.due_date)}`, { width, align: 'right' });
+  const note = statusNote(doc);
+  if (note) pdf.fillColor('#111827').text(note, { width, align: 'right' });
+
+  // Recipient and project
+  let y = 130;
+  pdf.fillColor('#6b7280').fontSize(10).text(doc.kind === 'quote' ? 'Prepared for' : 'Bill to', left, y);
+  pdf.text('Project', left, y, { width, align: 'right' });
+  pdf.fillColor('#111827').font('Helvetica-Bold').text(doc.client_name, left, y + 14);
+  pdf.text(doc.project_name, left, y + 14, { width, align: 'right' });
+  pdf.font('Helvetica').text(doc.client_email, left, y + 28);
+
+  // Line items
+  const cols = [
+    { label: 'Description', x: left, w: width - 270, align: 'left' },
+    { label: 'Qty', x: right - 270, w: 60, align: 'right' },
+    { label: 'Unit price', x: right - 200, w: 100, align: 'right' },
+    { label: 'Amount', x: right - 100, w: 100, align: 'right' }
+  ];
+  const row = (values, opts = {}) => {
+    pdf.font(opts.bold ? 'Helvetica-Bold' : 'Helvetica').fillColor('#111827').fontSize(10);
+    const height = Math.max(...values.map((v, i) => pdf.heightOfString(String(v), { width: cols[i].w })));
+    if (y + height > pdf.page.height - 80) {
+      pdf.addPage();
+      y = 50;
+    }
+    values.forEach((v, i) => pdf.text(String(v), cols[i].x, y, { width: cols[i].w, align: cols[i].align }));
+    y += height + 8;
+  };
+
+  y = 200;
+  row(cols.map(c => c.label), { bold: true });
+  pdf.moveTo(left, y - 4).lineTo(right, y - 4).lineWidth(1.5).strokeColor(accent).stroke();
+  for (const item of doc.items) {
+    row([item.description, Number(item.quantity), money(item.unit_price_cents), money(item.amount_cents)]);
+  }
+
+  // Totals
+  y += 8;
+  const total = (label, value, bold) => {
+    pdf.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 12 : 10).fillColor('#111827');
+    pdf.text(label, right - 300, y, { width: 190, align: 'right' });
+    pdf.text(value, right - 100, y, { width: 100, align: 'right' });
+    y += bold ? 20 : 16;
+  };
+  total('Subtotal', money(doc.subtotal_cents));
+  total(`Tax (${Number(doc.tax_rate)}%)`, money(doc.tax_cents));
+  pdf.moveTo(right - 300, y - 2).lineTo(right, y - 2).lineWidth(1.5).strokeColor(accent).stroke();
+  y += 4;
+  total('Total', money(doc.total_cents), true);
+
+  if (doc.notes) {
+    pdf.font('Helvetica').fontSize(10).fillColor('#374151').text(doc.notes, left, y + 20, { width });
+  }
+
+  pdf.end();
+  return done;
+}
+
+function fileName(doc, ext) {
+  return `${(doc.number || `${doc.kind}-draft`).replace(/[^\w-]/g, '_')}.${ext}`;
+}
+
+async function recordView(documentId, clientId, contactId, action, ip) {
+  await pool.query(
+    'INSERT INTO billing_document_views (id, document_id, client_id, contact_id, action, ip_address) VALUES ($1, $2, $3, $4, $5, $6)',
+    [nanoid(12), documentId, clientId, contactId, action, ip]
+  );
+}
+
+module.exports = {
+  KINDS,
+  parseDocument,
+  createDraft,
+  updateDraft,
+  issue,
+  canTransition,
+  loadForRender,
+  renderHtml,
+  renderPdf,
+  fileName,
+  recordView
+};
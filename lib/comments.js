@@ -0,0 +1,255 @@
+// Comments - threads on tasks, files and updates with markdown, @mentions and edit history
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const mailer = require('./mailer');
+const domains = require('./domains');
+const notifications = require('./notifications');
+const markdown = require('./markdown');
+const { escapeHtml } = require('./html');
+
+const MAX_BODY_LENGTH = 10000;
+const MAX_ATTACHMENTS = 5;
+
+// What can be commented on: live rows of the project
+const TARGETS = {
+  task: 'SELECT id FROM tasks WHERE id = $1 AND project_id = $2',
+  file: 'SELECT id FROM files WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL',
+  update: 'SELECT id FROM updates WHERE id = $1 AND project_id = $2 AND deleted_at IS NULL'
+};
+
+// Clients only reach the threads of tasks they can see
+const CLIENT_TARGETS = {
+  ...TARGETS,
+  task: 'SELECT id FROM tasks WHERE id = $1 AND project_id = $2 AND client_visible'
+};
+
+// Condition on files f: not attached to a comment on an internal task
+const CLIENT_VISIBLE_FILE = `NOT EXISTS (
+  SELECT 1 FROM comments hc JOIN tasks ht ON hc.target_type = 'task' AND hc.target_id = ht.id
+  WHERE hc.id = f.comment_id AND NOT ht.client_visible)`;
+
+// Whether a thread is hidden from clients: one on an internal task
+async function isInternalTarget(targetType, targetId) {
+  if (targetType !== 'task') return false;
+  const result = await pool.query('SELECT client_visible FROM tasks WHERE id = $1', [targetId]);
+  return result.rows.length > 0 && !result.rows[0].client_visible;
+}
+
+// Whether a file is hidden from clients: attached to a comment on an internal task
+async function isInternalFile(fileId) {
+  const result = await pool.query(`SELECT NOT ${CLIENT_VISIBLE_FILE} as internal FROM files f WHERE f.id = $1`, [fileId]);
+  return result.rows.length > 0 && result.rows[0].internal;
+}
+
+// Validate a comment body; an empty one is fine when files are attached
+function parseBody(body, { allowEmpty = false } = {}) {
+  const text = typeof body === 'string' ? body.trim() : '';
+  if (!text && !allowEmpty) return { error: 'Comment is empty' };
+  if (text.length > MAX_BODY_LENGTH) return { error: `Comments are limited to ${MAX_BODY_LENGTH} characters` };
+  return { body: text };
+}
+
+// People who can be @mentioned on a project: the freelancer and the client's contacts
+async function mentionable(projectId) {
+  const owner = await pool.query(
+    `SELECT p.user_id as id, COALESCE(u.name, u.email, p.name) as name FROM projects pr
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id LEFT JOIN users u ON u.id = p.user_id
+     WHERE pr.id = $1`,
+    [projectId]
+  );
+  const contacts = await pool.query(
+    `SELECT ct.id, ct.name FROM client_contacts ct JOIN projects pr ON pr.client_id = ct.client_id
+     WHERE pr.id = $1 AND ct.deleted_at IS NULL ORDER BY ct.name`,
+    [projectId]
+  );
+  return [
+    ...owner.rows.map(u => ({ type: 'user', id: u.id, name: u.name })),
+    ...contacts.rows.map(ct => ({ type: 'contact', id: ct.id, name: ct.name }))
+  ];
+}
+
+// Mentions in a body that point at someone on the project (each person once)
+function resolveMentions(body, people) {
+  const found = new Map();
+  for (const [, , type, id] of body.matchAll(markdown.MENTION_PATTERN)) {
+    const person = people.find(p => p.type === type && p.id === id);
+    if (person) found.set(`${type}:${id}`, person);
+  }
+  return [...found.values()];
+}
+
+function withHtml(comment) {
+  if (comment.deleted_at) return { ...comment, body: null, body_html: null, attachments: [] };
+  return { ...comment, body_html: markdown.render(comment.body) };
+}
+
+/**
+ * Comments of a project (optionally of one target), oldest first. Threads are built from
+ * parent_id; deleted comments stay as placeholders so their replies keep their place.
+ * clientView leaves out the threads of internal tasks.
+ */
+async function list(projectId, { targetType, targetId, clientView = false } = {}) {
+  const result = await pool.query(
+    `SELECT cm.*,
+            (SELECT COUNT(*) FROM comment_revisions r WHERE r.comment_id = cm.id)::int as revision_count,
+            COALESCE(json_agg(json_build_object('id', f.id, 'name', f.name, 'file_size', f.file_size, 'mime_type', f.mime_type))
+                     FILTER (WHERE f.id IS NOT NULL), '[]') as attachments
+     FROM comments cm LEFT JOIN files f ON f.comment_id = cm.id AND f.deleted_at IS NULL
+     WHERE cm.project_id = $1 AND ($2::varchar IS NULL OR cm.target_type = $2) AND ($3::varchar IS NULL OR cm.target_id = $3)
+       AND (NOT $4 OR cm.target_type <> 'task' OR cm.target_id IN (SELECT id FROM tasks WHERE project_id = $1 AND client_visible))
+     GROUP BY cm.id ORDER BY cm.created_at`,
+    [projectId, targetType || null, targetId || null, clientView]
+  );
+  return result.rows.map(withHtml);
+}
+
+/**
+ * Add a comment. author is { type: 'user' | 'contact', id, name }. Returns { comment, mentioned }
+ * with the people to notify, or { error } when the target or parent doesn't fit.
+ */
+async function create({ projectId, targetType, targetId, parentId, author, body }) {
+  if (!TARGETS[targetType]) return { error: `target_type must be one of: ${Object.keys(TARGETS).join(', ')}` };
+  const targets = author.type === 'contact' ? CLIENT_TARGETS : TARGETS;
+  const target = await pool.query(targets[targetType], [targetId, projectId]);
+  if (target.rows.length === 0) return { error: 'Nothing to comment on' };
+
+  if (parentId) {
+    const parent = await pool.query('SELECT target_type, target_id FROM comments WHERE id = $1 AND project_id = $2', [parentId, projectId]);
+    if (parent.rows.length === 0 || parent.rows[0].target_type !== targetType || parent.rows[0].target_id !== targetId) {
+      return { error: 'Replies must stay in the same thread' };
+    }
+  }
+
+  const mentioned = resolveMentions(body, await mentionable(projectId))
+    .filter(p => !(p.type === author.type && p.id === author.id));
+
+  const id = nanoid(12);
+  await pool.query(
+    `INSERT INTO comments (id, project_id, target_type, target_id, parent_id, author_type, author_id, author_name, body)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [id, projectId, targetType, targetId, parentId || null, author.type, author.id, author.name, body]
+  );
+  for (const person of mentioned) {
+    await pool.query('INSERT INTO comment_mentions (comment_id, mention_type, mention_id) VALUES ($1, $2, $3)', [id, person.type, person.id]);
+  }
+  return { comment: { id, project_id: projectId, target_type: targetType, target_id: targetId }, mentioned };
+}
+
+// Change a comment's body, keeping the previous one. Only people newly mentioned are returned for notifying.
+async function edit(commentId, body) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const current = await client.query('SELECT * FROM comments WHERE id = $1 FOR UPDATE', [commentId]);
+    const comment = current.rows[0];
+    await client.query(
+      'INSERT INTO comment_revisions (id, comment_id, body, created_at) VALUES ($1, $2, $3, $4)',
+      [nanoid(12), commentId, comment.body, comment.edited_at || comment.created_at]
+    );
+    await client.query('UPDATE comments SET body = $1, edited_at = NOW() WHERE id = $2', [body, commentId]);
+
+    const existing = await client.query('SELECT mention_type, mention_id FROM comment_mentions WHERE comment_id = $1', [commentId]);
+    const people = await mentionable(comment.project_id);
+    const mentioned = resolveMentions(body, people).filter(p =>
+      !(p.type === comment.author_type && p.id === comment.author_id) &&
+      !existing.rows.some(m => m.mention_type === p.type && m.mention_id === p.id)
+    );
+    for (const person of mentioned) {
+      await client.query('INSERT INTO comment_mentions (comment_id, mention_type, mention_id) VALUES ($1, $2, $3)', [commentId, person.type, person.id]);
+    }
+    await client.query('COMMIT');
+    return { comment, mentioned };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function remove(commentId) {
+  await pool.query('UPDATE comments SET deleted_at = NOW() WHERE id = $1', [commentId]);
+}
+
+// Earlier bodies of a comment, newest first (created_at is when that body was written)
+async function revisions(commentId) {
+  const result = await pool.query(
+    'SELECT id, body, created_at FROM comment_revisions WHERE comment_id = $1 ORDER BY created_at DESC',
+    [commentId]
+  );
+  return result.rows.map(r => ({ ...r, body_html: markdown.render(r.body) }));
+}
+
+function excerpt(body) {
+  const text = body.replace(markdown.MENTION_PATTERN, '@$1');
+  return text.length > 140 ? text.slice(0, 140) + '…' : text;
+}
+
+/**
+ * Tell the people mentioned in a comment: the freelancer through their notification
+ * settings, contacts by email with their portal link. Never throws.
+ */
+async function notifyMentions({ mentioned, projectId, authorName, body }) {
+  if (mentioned.length === 0) return;
+  try {
+    const project = await pool.query(
+      `SELECT pr.name, pr.client_id, c.portal_id, p.name as portal_name FROM projects pr
+       JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1`,
+      [projectId]
+    );
+    const { name, client_id, portal_id, portal_name } = project.rows[0];
+    const quote = excerpt(body);
+
+    for (const person of mentioned) {
+      if (person.type === 'user') {
+        await notifications.notify(portal_id, 'comment.mention', {
+          clientId: client_id,
+          projectId,
+          summary: `${authorName} mentioned you on ${name}: "${quote}"`
+        });
+        continue;
+      }
+
+      // Contacts whose link no longer works would only get a dead link
+      const contact = await pool.query(
+        `SELECT * FROM client_contacts WHERE id = $1 AND deleted_at IS NULL AND token_revoked_at IS NULL
+         AND (token_expires_at IS NULL OR token_expires_at > NOW())`,
+        [person.id]
+      );
+      if (contact.rows.length === 0) continue;
+      const { email, access_token } = contact.rows[0];
+      const url = `${await domains.portalBaseUrl(portal_id)}/portal?token=${access_token}`;
+      try {
+        await mailer.sendMail({
+          to: email,
+          subject: `${authorName} mentioned you on ${name}`,
+          text: `Hi ${person.name},\n\n${authorName} mentioned you in a comment on ${name}:\n\n"${quote}"\n\nReply in your ${portal_name} portal:\n${url}\n`,
+          html: `<p>Hi ${escapeHtml(person.name)},</p>
+                 <p>${escapeHtml(authorName)} mentioned you in a comment on <strong>${escapeHtml(name)}</strong>:</p>
+                 <blockquote style="color:#374151;border-left:3px solid #e5e7eb;padding-left:12px">${escapeHtml(quote)}</blockquote>
+                 <p><a href="${url}">Reply in your ${escapeHtml(portal_name)} portal</a></p>`
+        });
+      } catch (error) {
+        console.error('Mention email failed:', error.message);
+      }
+    }
+  } catch (error) {
+    console.error('Mention notifications failed:', error.message);
+  }
+}
+
+module.exports = {
+  MAX_ATTACHMENTS,
+  TARGETS,
+  CLIENT_VISIBLE_FILE,
+  isInternalTarget,
+  isInternalFile,
+  parseBody,
+  mentionable,
+  list,
+  create,
+  edit,
+  remove,
+  revisions,
+  notifyMentions
+};
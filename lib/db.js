@@ -0,0 +1,7 @@
+const { Pool } = require('pg');
+
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL || 'postgresql://postgres:postgres@db:5432/handoff'
+});
+
+module.exports = pool;
@@ -0,0 +1,99 @@
+// Host-based portal routing - <subdomain>.BASE_DOMAIN and verified custom domains
+const dns = require('dns').promises;
+const pool = require('./db');
+
+const APP_URL = process.env.APP_URL || 'https://handoff.jdms.nl';
+const BASE_DOMAIN = (process.env.BASE_DOMAIN || '').toLowerCase();
+const VERIFY_PREFIX = '_handoff-verify';
+const CACHE_TTL_MS = 60 * 1000;
+const CACHE_MAX_HOSTS = 1000;
+
+const appHost = new URL(APP_URL).hostname;
+const cache = new Map(); // host -> { portal, expires }, least recently used first
+
+async function lookup(host) {
+  if (BASE_DOMAIN && host.endsWith(`.${BASE_DOMAIN}`)) {
+    const subdomain = host.slice(0, -(BASE_DOMAIN.length + 1));
+    const result = await pool.query(
+      'SELECT id, subdomain, name, logo_url, accent_color FROM portals WHERE subdomain = $1 AND deleted_at IS NULL',
+      [subdomain]
+    );
+    return result.rows[0] || null;
+  }
+
+  const result = await pool.query(
+    `SELECT p.id, p.subdomain, p.name, p.logo_url, p.accent_color FROM portal_domains d 
+     JOIN portals p ON d.portal_id = p.id
+     WHERE d.domain = $1 AND d.verified_at IS NOT NULL AND p.deleted_at IS NULL`,
+    [host]
+  );
+  return result.rows[0] || null;
+}
+
+// Sets req.portal when the request came in on a portal's own host
+async function resolvePortalHost(req, res, next) {
+  const host = (req.hostname || '').toLowerCase();
+  if (!host || host === appHost || host === BASE_DOMAIN || host === 'localhost') return next();
+
+  try {
+    const cached = cache.get(host);
+    cache.delete(host);
+    if (cached && cached.expires > Date.now()) {
+      req.portal = cached.portal;
+      cache.set(host, cached);
+    } else {
+      req.portal = await lookup(host);
+      // Any Host header gets here, so the cache only keeps the most recently used ones
+      cache.set(host, { portal: req.portal, expires: Date.now() + CACHE_TTL_MS });
+      while (cache.size > CACHE_MAX_HOSTS) cache.delete(cache.keys().next().value);
+    }
+  } catch (error) {
+    console.error('Portal host lookup failed:', error.message);
+  }
+  next();
+}
+
+function clearCache() {
+  cache.clear();
+}
+
+// Public base URL for a portal: verified custom domain, then subdomain, then the app itself
+async function portalBaseUrl(portalId) {
+  const result = await pool.query(
+    `SELECT p.subdomain, d.domain FROM portals p 
+     LEFT JOIN portal_domains d ON d.portal_id = p.id AND d.verified_at IS NOT NULL
+     WHERE p.id = $1 ORDER BY d.verified_at LIMIT 1`,
+    [portalId]
+  );
+  const row = result.rows[0];
+  if (row && row.domain) return `https://${row.domain}`;
+  if (row && BASE_DOMAIN) return `https://${row.subdomain}.${BASE_DOMAIN}`;
+  return APP_URL;
+}
+
+function normalizeDomain(domain) {
+  const value = String(domain || '').trim().toLowerCase().replace(/\.$/, '');
+  if (!/^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/.test(value)) return null;
+  if (value === appHost || (BASE_DOMAIN && (value === BASE_DOMAIN || value.endsWith(`.${BASE_DOMAIN}`)))) return null;
+  return value;
+}
+
+// Ownership proof: a TXT record _handoff-verify.<domain> containing the token
+async function checkVerification(domain, token) {
+  try {
+    const records = await dns.resolveTxt(`${VERIFY_PREFIX}.${domain}`);
+    return records.some(chunks => chunks.join('') === token);
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  BASE_DOMAIN,
+  VERIFY_PREFIX,
+  resolvePortalHost,
+  clearCache,
+  portalBaseUrl,
+  normalizeDomain,
+  checkVerification
+};
@@ -0,0 +1,6 @@
+// Escape user content before interpolating it into email/HTML templates
+function escapeHtml(str) {
+  return String(str).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+module.exports = { escapeHtml };
@@ -0,0 +1,475 @@
+// Scheduled jobs - due reminders, overdue summaries, unviewed file nudges and scheduled updates,
+// run from a Postgres jobs table that every instance polls and leases rows from
+const os = require('os');
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const mailer = require('./mailer');
+const domains = require('./domains');
+const notifications = require('./notifications');
+const realtime = require('./realtime');
+const webhooks = require('./webhooks');
+const { DEFAULT_STAGES } = require('./workflows');
+const { CLIENT_VISIBLE_FILE } = require('./comments');
+const { escapeHtml } = require('./html');
+
+const WORKER_INTERVAL_MS = 30 * 1000;
+const LEASE_MS = 10 * 60 * 1000; // a crashed instance's jobs come free again after this
+const HISTORY_DAYS = 90;
+const MIN_EVERY_MINUTES = 5;
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+
+// Tasks in the last stage of their board count as done
+const DONE_STAGE = `(COALESCE(pr.task_stages, p.task_stages, '${JSON.stringify(DEFAULT_STAGES)}'::jsonb) -> -1 ->> 'key')`;
+// Up from a project (pr) to its portal, and the live, unarchived projects of the portal in $1
+const PORTAL_JOINS = 'JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id';
+const LIVE_PROJECT = "p.id = $1 AND pr.deleted_at IS NULL AND c.deleted_at IS NULL AND pr.status != 'archived'";
+
+function wholeNumber(value, fallback, min, max, label) {
+  if (value === undefined || value === null || value === '') return { value: fallback };
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < min || n > max) return { error: `${label} must be a whole number from ${min} to ${max}` };
+  return { value: n };
+}
+
+// Per type: default name and schedule, whether it belongs to a project, and its config parser
+const TYPES = {
+  due_reminder: {
+    name: 'Due date reminders',
+    everyMinutes: 60,
+    parseConfig(config) {
+      const days = wholeNumber(config.days_before, 1, 0, 30, 'days_before');
+      if (days.error) return days;
+      const notify = config.notify === undefined ? ['freelancer'] : config.notify;
+      if (!Array.isArray(notify) || notify.length === 0 || notify.some(n => !['freelancer', 'client'].includes(n))) {
+        return { error: 'notify must list freelancer and/or client' };
+      }
+      return { config: { days_before: days.value, notify: [...new Set(notify)] } };
+    }
+  },
+  overdue_summary: {
+    name: 'Overdue summary',
+    everyMinutes: 24 * 60,
+    parseConfig() {
+      return { config: {} };
+    }
+  },
+  unviewed_file_nudge: {
+    name: 'Unviewed file nudge',
+    everyMinutes: 60,
+    parseConfig(config) {
+      const days = wholeNumber(config.after_days, 3, 1, 60, 'after_days');
+      if (days.error) return days;
+      return { config: { after_days: days.value } };
+    }
+  },
+  scheduled_update: {
+    name: 'Scheduled update',
+    everyMinutes: null,
+    project: true,
+    parseConfig(config) {
+      const content = typeof config.content === 'string' ? config.content.trim() : '';
+      if (!content) return { error: 'A scheduled update needs content' };
+      return { config: { content } };
+    }
+  }
+};
+
+/**
+ * Validate a job: type (fixed once created), name, config (per type, see TYPES), project_id
+ * (scheduled updates only), run_at (first run, now by default), every_minutes (null runs it
+ * once) and active. Returns { fields } or { error }; partial leaves out what the body doesn't
+ * mention, and needs the job's current type.
+ */
+function parseJob(body, { partial = false, type: currentType } = {}) {
+  const fields = {};
+  const type = partial ? currentType : body.type;
+  const spec = TYPES[type];
+  if (!spec) return { error: `type must be one of ${Object.keys(TYPES).join(', ')}` };
+  if (partial && body.type !== undefined && body.type !== currentType) return { error: 'A job keeps its type' };
+  if (!partial) fields.type = type;
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : spec.name;
+    if (name.length > 255) return { error: 'name can be up to 255 characters' };
+    fields.name = name;
+  }
+  if (body.config !== undefined || !partial) {
+    if (body.config !== undefined && (typeof body.config !== 'object' || body.config === null || Array.isArray(body.config))) {
+      return { error: 'config must be an object' };
+    }
+    const { config, error } = spec.parseConfig(body.config || {});
+    if (error) return { error };
+    fields.config = config;
+  }
+  if (!partial) {
+    if (spec.project && !body.project_id) return { error: 'project_id is required' };
+    fields.project_id = spec.project ? body.project_id : null;
+  }
+  if (body.run_at !== undefined || !partial) {
+    const runAt = body.run_at ? new Date(body.run_at) : new Date();
+    if (isNaN(runAt)) return { error: 'run_at must be a date and time' };
+    fields.run_at = runAt;
+  }
+  if (body.every_minutes !== undefined || !partial) {
+    const every = body.every_minutes === undefined ? spec.everyMinutes : body.every_minutes;
+    if (every !== null && (!Number.isInteger(every) || every < MIN_EVERY_MINUTES)) {
+      return { error: `every_minutes must be null (run once) or a whole number of at least ${MIN_EVERY_MINUTES}` };
+    }
+    fields.every_minutes = every;
+  }
+  if (body.active !== undefined) fields.active = body.active === true;
+  return { fields };
+}
+
+async function create(portalId, fields) {
+  const columns = Object.keys(fields);
+  const result = await pool.query(
+    `INSERT INTO jobs (id, portal_id, ${columns.join(', ')})
+     VALUES ($1, $2, ${columns.map((_, idx) => `$${idx + 3}`).join(', ')}) RETURNING *`,
+    [nanoid(12), portalId, ...columns.map(col => (col === 'config' ? JSON.stringify(fields[col]) : fields[col]))]
+  );
+  return result.rows[0];
+}
+
+async function update(jobId, fields) {
+  const updates = ['updated_at = NOW()'];
+  const values = [];
+  let i = 1;
+  for (const [column, value] of Object.entries(fields)) {
+    updates.push(`${column} = $${i++}`);
+    values.push(column === 'config' ? JSON.stringify(value) : value);
+  }
+  values.push(jobId);
+  const result = await pool.query(`UPDATE jobs SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+  return result.rows[0];
+}
+
+async function list(portalId, { type, projectId } = {}) {
+  const result = await pool.query(
+    `SELECT j.*, pr.name as project_name FROM jobs j LEFT JOIN projects pr ON j.project_id = pr.id
+     WHERE j.portal_id = $1 AND ($2::varchar IS NULL OR j.type = $2) AND ($3::varchar IS NULL OR j.project_id = $3)
+     ORDER BY j.active DESC, j.run_at`,
+    [portalId, type || null, projectId || null]
+  );
+  return result.rows;
+}
+
+// Newest first
+async function runs(jobId, { limit = 50 } = {}) {
+  const result = await pool.query(
+    'SELECT * FROM job_runs WHERE job_id = $1 ORDER BY started_at DESC LIMIT $2',
+    [jobId, Math.min(Math.max(Number(limit) || 50, 1), 500)]
+  );
+  return result.rows;
+}
+
+// Claim a key for this job; false when an earlier run already sent it
+async function claimDelivery(jobId, key) {
+  const result = await pool.query(
+    'INSERT INTO job_deliveries (job_id, key) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING key',
+    [jobId, key]
+  );
+  return result.rows.length > 0;
+}
+
+async function releaseDeliveries(jobId, keys) {
+  await pool.query('DELETE FROM job_deliveries WHERE job_id = $1 AND key = ANY($2)', [jobId, keys]);
+}
+
+// Send one email for the items no earlier run covered; a failed send frees them for the next run
+async function sendOnce(job, items, keyOf, mail) {
+  const fresh = [];
+  for (const item of items) {
+    if (await claimDelivery(job.id, keyOf(item))) fresh.push(item);
+  }
+  if (fresh.length === 0) return 0;
+  try {
+    await mailer.sendMail(mail(fresh));
+  } catch (error) {
+    await releaseDeliveries(job.id, fresh.map(keyOf));
+    throw error;
+  }
+  return fresh.length;
+}
+
+// People at a client whose magic link still works
+async function reachableContacts(clientId) {
+  const result = await pool.query(
+    `SELECT id, name, email, access_token FROM client_contacts WHERE client_id = $1 AND deleted_at IS NULL
+     AND token_revoked_at IS NULL AND (token_expires_at IS NULL OR token_expires_at > NOW())`,
+    [clientId]
+  );
+  return result.rows;
+}
+
+async function portalOf(job) {
+  const result = await pool.query('SELECT id, name, user_id FROM portals WHERE id = $1', [job.portal_id]);
+  return result.rows[0];
+}
+
+function groupBy(rows, key) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row[key])) groups.set(row[key], []);
+    groups.get(row[key]).push(row);
+  }
+  return groups;
+}
+
+function formatDay(date) {
+  return new Date(date).toDateString();
+}
+
+function taskLines(tasks) {
+  return {
+    text: tasks.map(t => `- ${t.title} (${t.client_name} / ${t.project_name}) - due ${formatDay(t.due_date)}`).join('\n'),
+    html: `<ul>${tasks.map(t => `<li>${escapeHtml(t.title)} <span style="color:#6b7280">${escapeHtml(t.client_name)} / ${escapeHtml(t.project_name)} • due ${formatDay(t.due_date)}</span></li>`).join('')}</ul>`
+  };
+}
+
+// Job handlers return a summary stored with the run, with skipped set when there was nothing to do
+
+async function dueReminder(job) {
+  const portal = await portalOf(job);
+  const { days_before, notify } = job.config;
+  const due = await pool.query(
+    `SELECT t.id, t.title, t.due_date, to_char(t.due_date, 'YYYY-MM-DD') as due_day, t.client_visible,
+            pr.name as project_name, c.id as client_id, c.name as client_name
+     FROM tasks t JOIN projects pr ON t.project_id = pr.id ${PORTAL_JOINS}
+     WHERE ${LIVE_PROJECT} AND t.due_date BETWEEN CURRENT_DATE AND CURRENT_DATE + $2::int AND t.stage != ${DONE_STAGE}
+     ORDER BY t.due_date, pr.name`,
+    [job.portal_id, days_before]
+  );
+  if (due.rows.length === 0) return { skipped: true, tasks: 0 };
+  // A new due date is a new reminder
+  const key = (t, who) => `due:${t.id}:${t.due_day}:${who}`;
+  const summary = { tasks: due.rows.length, freelancer: 0, contacts: 0 };
+
+  if (notify.includes('freelancer')) {
+    const { email } = await notifications.getSettings(job.portal_id);
+    if (email) {
+      summary.freelancer = await sendOnce(job, due.rows, t => key(t, 'freelancer'), tasks => {
+        const lines = taskLines(tasks);
+        return {
+          to: email,
+          subject: `${portal.name}: ${tasks.length === 1 ? '1 task' : `${tasks.length} tasks`} due soon`,
+          text: `Coming up on ${portal.name}:\n\n${lines.text}\n`,
+          html: `<h2>Coming up on ${escapeHtml(portal.name)}</h2>${lines.html}`
+        };
+      });
+    }
+  }
+
+  if (notify.includes('client')) {
+    const baseUrl = await domains.portalBaseUrl(job.portal_id);
+    for (const [clientId, tasks] of groupBy(due.rows.filter(t => t.client_visible), 'client_id')) {
+      for (const contact of await reachableContacts(clientId)) {
+        const url = `${baseUrl}/portal?token=${contact.access_token}`;
+        const sent = await sendOnce(job, tasks, t => key(t, contact.id), fresh => {
+          const lines = taskLines(fresh);
+          return {
+            to: contact.email,
+            subject: `${portal.name}: ${fresh.length === 1 ? `${fresh[0].title} is due` : `${fresh.length} tasks are due`} soon`,
+            text: `Hi ${contact.name},\n\nThese are due soon:\n\n${lines.text}\n\nSee where things stand in your portal:\n${url}\n`,
+            html: `<p>Hi ${escapeHtml(contact.name)},</p><p>These are due soon:</p>${lines.html}
+                   <p><a href="${url}">See where things stand in your portal</a></p>`
+          };
+        });
+        if (sent > 0) summary.contacts++;
+      }
+    }
+  }
+  return summary;
+}
+
+async function overdueSummary(job) {
+  const portal = await portalOf(job);
+  const overdue = await pool.query(
+    `SELECT t.id, t.title, t.due_date, pr.name as project_name, c.name as client_name
+     FROM tasks t JOIN projects pr ON t.project_id = pr.id ${PORTAL_JOINS}
+     WHERE ${LIVE_PROJECT} AND t.due_date < CURRENT_DATE AND t.stage != ${DONE_STAGE}
+     ORDER BY t.due_date, c.name, pr.name`,
+    [job.portal_id]
+  );
+  if (overdue.rows.length === 0) return { skipped: true, tasks: 0 };
+
+  const { email } = await notifications.getSettings(job.portal_id);
+  if (!email) return { skipped: true, tasks: overdue.rows.length, reason: 'No notification email' };
+  const lines = taskLines(overdue.rows);
+  await mailer.sendMail({
+    to: email,
+    subject: `${portal.name}: ${overdue.rows.length === 1 ? '1 task is' : `${overdue.rows.length} tasks are`} overdue`,
+    text: `Overdue on ${portal.name}:\n\n${lines.text}\n`,
+    html: `<h2>Overdue on ${escapeHtml(portal.name)}</h2>${lines.html}`
+  });
+  return { tasks: overdue.rows.length };
+}
+
+/**
+ * Files you shared that nobody at the client has downloaded after after_days. Each person
+ * hears about a file once; files older than a week past the threshold are left alone, so a
+ * new job doesn't dig up old ones.
+ */
+async function unviewedFileNudge(job) {
+  const portal = await portalOf(job);
+  const { after_days } = job.config;
+  const files = await pool.query(
+    `SELECT f.id, f.name, f.created_at, pr.name as project_name, c.id as client_id
+     FROM files f JOIN projects pr ON f.project_id = pr.id ${PORTAL_JOINS}
+     WHERE ${LIVE_PROJECT} AND f.deleted_at IS NULL AND f.uploaded_by = p.user_id AND ${CLIENT_VISIBLE_FILE}
+     AND f.created_at <= NOW() - $2 * INTERVAL '1 day' AND f.created_at > NOW() - ($2 + 7) * INTERVAL '1 day'
+     AND NOT EXISTS (SELECT 1 FROM file_downloads fd WHERE fd.file_id = f.id AND fd.client_id = c.id)
+     ORDER BY f.created_at`,
+    [job.portal_id, after_days]
+  );
+  if (files.rows.length === 0) return { skipped: true, files: 0 };
+
+  const baseUrl = await domains.portalBaseUrl(job.portal_id);
+  let contacts = 0;
+  for (const [clientId, waiting] of groupBy(files.rows, 'client_id')) {
+    for (const contact of await reachableContacts(clientId)) {
+      const url = `${baseUrl}/portal?token=${contact.access_token}`;
+      const sent = await sendOnce(job, waiting, f => `file:${f.id}:${contact.id}`, fresh => ({
+        to: contact.email,
+        subject: `${portal.name}: ${fresh.length === 1 ? `${fresh[0].name} is` : `${fresh.length} files are`} waiting for you`,
+        text: `Hi ${contact.name},\n\n${portal.name} shared files you haven't opened yet:\n\n` +
+              fresh.map(f => `- ${f.name} (${f.project_name}, ${formatDay(f.created_at)})`).join('\n') + `\n\nOpen your portal:\n${url}\n`,
+        html: `<p>Hi ${escapeHtml(contact.name)},</p><p>${escapeHtml(portal.name)} shared files you haven't opened yet:</p>
+               <ul>${fresh.map(f => `<li>${escapeHtml(f.name)} <span style="color:#6b7280">${escapeHtml(f.project_name)} • ${formatDay(f.created_at)}</span></li>`).join('')}</ul>
+               <p><a href="${url}">Open your portal</a></p>`
+      }));
+      if (sent > 0) contacts++;
+    }
+  }
+  return { files: files.rows.length, contacts };
+}
+
+// Posted as the portal's owner, like an update written by hand
+async function scheduledUpdate(job) {
+  const portal = await portalOf(job);
+  const project = await pool.query(
+    `SELECT pr.id FROM projects pr ${PORTAL_JOINS}
+     WHERE p.id = $1 AND pr.id = $2 AND pr.deleted_at IS NULL AND c.deleted_at IS NULL`,
+    [job.portal_id, job.project_id]
+  );
+  if (project.rows.length === 0) return { skipped: true, reason: 'Project is in the trash' };
+
+  const id = nanoid(12);
+  const { content } = job.config;
+  await pool.query(
+    'INSERT INTO updates (id, project_id, author_type, author_id, content) VALUES ($1, $2, $3, $4, $5)',
+    [id, job.project_id, 'user', portal.user_id, content]
+  );
+  realtime.publish(job.project_id, 'update.created', { update_id: id, author_type: 'user' });
+  webhooks.emit(job.portal_id, 'update.posted', {
+    update: { id, project_id: job.project_id, author_type: 'user', author_id: portal.user_id, content }
+  });
+  return { update_id: id };
+}
+
+const HANDLERS = {
+  due_reminder: dueReminder,
+  overdue_summary: overdueSummary,
+  unviewed_file_nudge: unviewedFileNudge,
+  scheduled_update: scheduledUpdate
+};
+
+/**
+ * Run a leased job and record the run. Afterwards a repeating job moves on to its next slot
+ * after now (missed slots are skipped, not caught up); a one-off job switches itself off.
+ */
+async function execute(job, trigger) {
+  const runId = nanoid(12);
+  await pool.query(
+    "INSERT INTO job_runs (id, job_id, trigger, status, instance) VALUES ($1, $2, $3, 'running', $4)",
+    [runId, job.id, trigger, INSTANCE]
+  );
+
+  let status = 'succeeded';
+  let result = null;
+  let error = null;
+  try {
+    result = await HANDLERS[job.type](job);
+    if (result.skipped) status = 'skipped';
+  } catch (e) {
+    status = 'failed';
+    error = e.message;
+    console.error(`Job ${job.id} (${job.type}) failed:`, e.message);
+  }
+
+  const run = await pool.query(
+    'UPDATE job_runs SET status = $1, result = $2, error = $3, finished_at = NOW() WHERE id = $4 RETURNING *',
+    [status, result && JSON.stringify(result), error, runId]
+  );
+  await pool.query(
+    `UPDATE jobs SET locked_until = NULL, locked_by = NULL, last_run_at = NOW(), last_status = $1,
+       active = active AND every_minutes IS NOT NULL,
+       run_at = CASE WHEN every_minutes IS NULL OR run_at > NOW() THEN run_at
+         ELSE run_at + every_minutes * INTERVAL '1 minute' * (FLOOR(EXTRACT(EPOCH FROM NOW() - run_at) / 60 / every_minutes) + 1) END
+     WHERE id = $2 AND locked_by = $3`,
+    [status, job.id, INSTANCE]
+  );
+  await pool.query(
+    `DELETE FROM job_runs WHERE job_id = $1 AND started_at < NOW() - INTERVAL '${HISTORY_DAYS} days'`,
+    [job.id]
+  );
+  await pool.query(
+    `DELETE FROM job_deliveries WHERE job_id = $1 AND created_at < NOW() - INTERVAL '${HISTORY_DAYS} days'`,
+    [job.id]
+  );
+  return run.rows[0];
+}
+
+/**
+ * Run a job now, whether or not it's due or active. Returns { run }, or { error, code: 'RUNNING' }
+ * while another run holds it.
+ */
+async function runNow(jobId) {
+  const leased = await pool.query(
+    `UPDATE jobs SET locked_until = NOW() + $1 * INTERVAL '1 millisecond', locked_by = $2
+     WHERE id = $3 AND (locked_until IS NULL OR locked_until < NOW()) RETURNING *`,
+    [LEASE_MS, INSTANCE, jobId]
+  );
+  if (leased.rows.length === 0) return { error: 'This job is running right now', code: 'RUNNING' };
+  return { run: await execute(leased.rows[0], 'manual') };
+}
+
+let processing = false;
+
+async function processDue() {
+  if (processing) return;
+  processing = true;
+  try {
+    // Lease due jobs so a parallel instance skips them and a crashed one gives them back
+    const due = await pool.query(
+      `UPDATE jobs SET locked_until = NOW() + $1 * INTERVAL '1 millisecond', locked_by = $2
+       WHERE id IN (
+         SELECT j.id FROM jobs j JOIN portals p ON j.portal_id = p.id
+         WHERE j.active AND j.run_at <= NOW() AND (j.locked_until IS NULL OR j.locked_until < NOW()) AND p.deleted_at IS NULL
+         ORDER BY j.run_at LIMIT 10 FOR UPDATE OF j SKIP LOCKED
+       )
+       RETURNING *`,
+      [LEASE_MS, INSTANCE]
+    );
+    for (const job of due.rows) await execute(job, 'schedule');
+  } catch (error) {
+    console.error('Job worker error:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+function startJobWorker() {
+  return setInterval(processDue, WORKER_INTERVAL_MS);
+}
+
+module.exports = {
+  TYPES,
+  parseJob,
+  create,
+  update,
+  list,
+  runs,
+  runNow,
+  startJobWorker
+};
@@ -0,0 +1,28 @@
+// Outgoing email via SMTP (point SMTP_HOST at a local catcher like MailHog in dev/tests)
+const nodemailer = require('nodemailer');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Handoff <no-reply@handoff.jdms.nl>';
+
+function createTransport() {
+  if (!process.env.SMTP_HOST) {
+    // No SMTP configured - nothing is sent; sendMail logs who it was for
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT || '587', 10),
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+const transport = createTransport();
+
+async function sendMail({ to, subject, text, html }) {
+  const info = await transport.sendMail({ from: MAIL_FROM, to, subject, text, html });
+  // Bodies carry magic links, so only the recipient and subject go to the log
+  if (!process.env.SMTP_HOST) console.log(`Mail not sent (SMTP not configured): "${subject}" to ${to}`);
+  return info;
+}
+
+module.exports = { sendMail };
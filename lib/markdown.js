@@ -0,0 +1,79 @@
+// Markdown for comments - a small subset rendered from HTML-escaped source, so the only
+// markup that reaches the page is the tags added here (links only to http(s) and mailto)
+const { escapeHtml } = require('./html');
+
+// @[Jane Doe](contact:abc123) / @[Sam](user:xyz) - inserted by the mention pickers
+const MENTION_PATTERN = /@\[([^\]\n]{1,100})\]\((user|contact):([\w-]{1,64})\)/g;
+
+const PLACEHOLDER = /\u0000(\d+)\u0000/g;
+
+function link(url, label) {
+  return `<a href="${url}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`;
+}
+
+// Inline formatting on one escaped line. Code, mentions and links are set aside first so
+// the emphasis rules can't reach into them.
+function inline(text) {
+  const stash = [];
+  const keep = html => `\u0000${stash.push(html) - 1}\u0000`;
+
+  const out = text
+    .replace(/`([^`\n]+)`/g, (_, code) => keep(`<code>${code}</code>`))
+    .replace(MENTION_PATTERN, (_, name) => keep(`<span class="mention">@${name}</span>`))
+    .replace(/\[([^\]\n]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, (_, label, url) => keep(link(url, label)))
+    .replace(/(^|\s)(https?:\/\/[^\s<]*[^\s<.,;:!?)])/g, (_, before, url) => before + keep(link(url, url)))
+    .replace(/\*\*(?=\S)([^*\n]*\S)\*\*/g, '<strong>$1</strong>')
+    .replace(/(^|[^\w*])\*(?=\S)([^*\n]*\S)\*(?![\w*])/g, '$1<em>$2</em>')
+    .replace(/(^|[^\w])_(?=\S)([^_\n]*\S)_(?!\w)/g, '$1<em>$2</em>')
+    .replace(/~~(?=\S)([^~\n]*\S)~~/g, '<del>$1</del>');
+
+  const restore = s => s.replace(PLACEHOLDER, (_, i) => restore(stash[i]));
+  return restore(out);
+}
+
+const BLOCK_START = /^(```|&gt; ?|\s*[-*] |\s*\d+\. )/;
+
+/**
+ * Render comment markdown to HTML: paragraphs, line breaks, **bold**, *italic*, ~~strike~~,
+ * `code`, fenced code blocks, > quotes, - and 1. lists, links and @mentions.
+ */
+function render(source) {
+  const lines = escapeHtml(String(source || '').replace(/\u0000/g, '')).replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  // Consecutive lines matching a prefix, with the prefix stripped
+  const take = pattern => {
+    const taken = [];
+    while (i < lines.length && pattern.test(lines[i])) taken.push(lines[i++].replace(pattern, ''));
+    return taken;
+  };
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (!line.trim()) {
+      i++;
+    } else if (/^```/.test(line)) {
+      i++;
+      const code = [];
+      while (i < lines.length && !/^```/.test(lines[i])) code.push(lines[i++]);
+      i++;
+      blocks.push(`<pre><code>${code.join('\n')}</code></pre>`);
+    } else if (/^&gt; ?/.test(line)) {
+      blocks.push(`<blockquote>${take(/^&gt; ?/).map(inline).join('<br>')}</blockquote>`);
+    } else if (/^\s*[-*] /.test(line)) {
+      blocks.push(`<ul>${take(/^\s*[-*] /).map(item => `<li>${inline(item)}</li>`).join('')}</ul>`);
+    } else if (/^\s*\d+\. /.test(line)) {
+      blocks.push(`<ol>${take(/^\s*\d+\. /).map(item => `<li>${inline(item)}</li>`).join('')}</ol>`);
+    } else {
+      const paragraph = [];
+      while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !BLOCK_START.test(lines[i]))) {
+        paragraph.push(lines[i++]);
+      }
+      blocks.push(`<p>${paragraph.map(inline).join('<br>')}</p>`);
+    }
+  }
+  return blocks.join('');
+}
+
+module.exports = { MENTION_PATTERN, render };
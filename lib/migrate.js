@@ -0,0 +1,95 @@
+// Versioned schema migrations - numbered files in /migrations, tracked in schema_migrations
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const LOCK_KEY = 727141; // pg advisory lock, so instances starting together don't race
+
+// migrations/001_baseline.js -> { version: 1, name: 'baseline', up, down }
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      return { version: parseInt(version, 10), name, ...require(path.join(MIGRATIONS_DIR, file)) };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}`);
+    }
+  }
+  return migrations;
+}
+
+async function ensureTable(db) {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+// Runs fn inside one transaction holding the migration lock; any failure rolls back the whole batch
+async function withLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock($1)', [LOCK_KEY]);
+    await ensureTable(client);
+    const applied = await client.query('SELECT version FROM schema_migrations');
+    const result = await fn(client, new Set(applied.rows.map(r => r.version)));
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Apply pending migrations (up to `to`, if given). Returns the ones applied.
+async function up({ to } = {}) {
+  const migrations = loadMigrations();
+  return withLock(async (db, applied) => {
+    const pending = migrations.filter(m => !applied.has(m.version) && (to === undefined || m.version <= to));
+    for (const m of pending) {
+      await m.up(db);
+      await db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [m.version, m.name]);
+    }
+    return pending;
+  });
+}
+
+// Revert the latest `steps` applied migrations, newest first. Returns the ones reverted.
+async function down({ steps = 1 } = {}) {
+  const migrations = loadMigrations();
+  return withLock(async (db, applied) => {
+    const targets = migrations.filter(m => applied.has(m.version)).reverse().slice(0, steps);
+    for (const m of targets) {
+      if (!m.down) throw new Error(`Migration ${m.version}_${m.name} cannot be reverted`);
+      await m.down(db);
+      await db.query('DELETE FROM schema_migrations WHERE version = $1', [m.version]);
+    }
+    return targets;
+  });
+}
+
+async function status() {
+  const migrations = loadMigrations();
+  await ensureTable(pool);
+  const applied = await pool.query('SELECT version, applied_at FROM schema_migrations');
+  const appliedAt = new Map(applied.rows.map(r => [r.version, r.applied_at]));
+  return migrations.map(m => ({
+    version: m.version,
+    name: m.name,
+    applied_at: appliedAt.get(m.version) || null
+  }));
+}
+
+module.exports = { up, down, status };
@@ -0,0 +1,202 @@
+// Freelancer notifications - queue client activity, then email it in batches or as a daily digest
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const mailer = require('./mailer');
+const { escapeHtml } = require('./html');
+
+const EVENT_TYPES = ['project.first_view', 'file.downloaded', 'client.replied', 'document.first_view', 'quote.accepted', 'comment.mention'];
+const DELIVERY_MODES = ['instant', 'digest', 'off'];
+
+// Instant mails wait for a quiet period so one portal session becomes one email
+const BATCH_QUIET_MS = parseInt(process.env.NOTIFY_BATCH_MINUTES || '5', 10) * 60 * 1000;
+const BATCH_MAX_WAIT_MS = 30 * 60 * 1000;
+const WORKER_INTERVAL_MS = 60 * 1000;
+
+const DEFAULT_EVENTS = {
+  'project.first_view': 'instant',
+  'file.downloaded': 'instant',
+  'client.replied': 'instant',
+  'document.first_view': 'instant',
+  'quote.accepted': 'instant',
+  'comment.mention': 'instant'
+};
+
+const eventTitles = {
+  'project.first_view': 'First views',
+  'file.downloaded': 'Downloads',
+  'client.replied': 'Client replies',
+  'document.first_view': 'Quotes and invoices opened',
+  'quote.accepted': 'Accepted quotes',
+  'comment.mention': 'Mentions in comments'
+};
+
+async function getSettings(portalId) {
+  const result = await pool.query(
+    `SELECT ns.*, u.email as account_email FROM portals p 
+     LEFT JOIN notification_settings ns ON ns.portal_id = p.id
+     LEFT JOIN users u ON u.id = p.user_id
+     WHERE p.id = $1`,
+    [portalId]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return {
+    portal_id: portalId,
+    email: row.email || row.account_email || null,
+    digest_hour: row.digest_hour ?? 8,
+    events: { ...DEFAULT_EVENTS, ...(row.events || {}) },
+    last_digest_at: row.last_digest_at || null
+  };
+}
+
+async function saveSettings(portalId, { email, digest_hour, events }) {
+  const current = await getSettings(portalId);
+  const merged = {
+    email: email !== undefined ? email : current.email,
+    digest_hour: digest_hour !== undefined ? digest_hour : current.digest_hour,
+    events: { ...current.events, ...(events || {}) }
+  };
+
+  await pool.query(
+    `INSERT INTO notification_settings (portal_id, email, digest_hour, events) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (portal_id) DO UPDATE SET email = EXCLUDED.email, digest_hour = EXCLUDED.digest_hour, events = EXCLUDED.events`,
+    [portalId, merged.email, merged.digest_hour, JSON.stringify(merged.events)]
+  );
+  return getSettings(portalId);
+}
+
+// Queue an event for the portal owner (never throws - notifications must not break client requests)
+async function notify(portalId, eventType, { clientId, projectId, summary }) {
+  try {
+    const settings = await getSettings(portalId);
+    if (!settings) return;
+    const delivery = settings.events[eventType];
+    if (!delivery || delivery === 'off') return;
+
+    await pool.query(
+      `INSERT INTO notifications (id, portal_id, event_type, client_id, project_id, summary, delivery) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [nanoid(12), portalId, eventType, clientId || null, projectId || null, summary, delivery]
+    );
+  } catch (error) {
+    console.error('Notify failed:', error.message);
+  }
+}
+
+// Claim pending rows atomically so several instances never send the same batch
+async function claim(ids) {
+  const result = await pool.query(
+    'UPDATE notifications SET sent_at = NOW() WHERE id = ANY($1) AND sent_at IS NULL RETURNING *',
+    [ids]
+  );
+  return result.rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+}
+
+async function release(ids) {
+  await pool.query('UPDATE notifications SET sent_at = NULL WHERE id = ANY($1)', [ids]);
+}
+
+function renderEmail(portalName, notifications) {
+  const groups = EVENT_TYPES
+    .map(type => ({ type, items: notifications.filter(n => n.event_type === type) }))
+    .filter(g => g.items.length > 0);
+
+  const text = groups.map(g =>
+    `${eventTitles[g.type]}\n` + g.items.map(n => `- ${n.summary} (${new Date(n.created_at).toLocaleString()})`).join('\n')
+  ).join('\n\n');
+
+  const html = groups.map(g => `
+    <h3>${eventTitles[g.type]}</h3>
+    <ul>${g.items.map(n => `<li>${escapeHtml(n.summary)} <span style="color:#6b7280">${new Date(n.created_at).toLocaleString()}</span></li>`).join('')}</ul>
+  `).join('');
+
+  return { text: `Client activity on ${portalName}\n\n${text}`, html: `<h2>Client activity on ${escapeHtml(portalName)}</h2>${html}` };
+}
+
+// false when sending failed and the notifications were put back for the next try
+async function deliver(portal, settings, notifications, subject) {
+  const ids = notifications.map(n => n.id);
+  const claimed = await claim(ids);
+  if (claimed.length === 0) return true;
+
+  if (!settings.email) {
+    console.warn(`No notification email for portal ${portal.id} - dropping ${claimed.length} notifications`);
+    return true;
+  }
+
+  try {
+    const { text, html } = renderEmail(portal.name, claimed);
+    await mailer.sendMail({ to: settings.email, subject, text, html });
+    return true;
+  } catch (error) {
+    console.error('Notification email failed:', error.message);
+    await release(claimed.map(n => n.id));
+    return false;
+  }
+}
+
+async function flushInstant() {
+  // Portals whose pending burst has gone quiet (or has waited too long)
+  const due = await pool.query(
+    `SELECT n.portal_id, p.name FROM notifications n JOIN portals p ON n.portal_id = p.id
+     WHERE n.sent_at IS NULL AND n.delivery = 'instant'
+     GROUP BY n.portal_id, p.name
+     HAVING MAX(n.created_at) < NOW() - $1 * INTERVAL '1 millisecond'
+         OR MIN(n.created_at) < NOW() - $2 * INTERVAL '1 millisecond'`,
+    [BATCH_QUIET_MS, BATCH_MAX_WAIT_MS]
+  );
+
+  for (const row of due.rows) {
+    const settings = await getSettings(row.portal_id);
+    const pending = await pool.query(
+      "SELECT id, event_type FROM notifications WHERE portal_id = $1 AND sent_at IS NULL AND delivery = 'instant'",
+      [row.portal_id]
+    );
+    const count = pending.rows.length;
+    const subject = count === 1 ? `${row.name}: new client activity` : `${row.name}: ${count} new client events`;
+    await deliver({ id: row.portal_id, name: row.name }, settings, pending.rows, subject);
+  }
+}
+
+// Digest hours and "today" are the database's clock, like last_digest_at
+async function flushDigests() {
+  const due = await pool.query(
+    `SELECT DISTINCT n.portal_id, p.name FROM notifications n JOIN portals p ON n.portal_id = p.id
+     LEFT JOIN notification_settings ns ON ns.portal_id = n.portal_id
+     WHERE n.sent_at IS NULL AND n.delivery = 'digest'
+       AND EXTRACT(HOUR FROM LOCALTIMESTAMP) >= COALESCE(ns.digest_hour, 8)
+       AND (ns.last_digest_at IS NULL OR ns.last_digest_at::date < CURRENT_DATE)`
+  );
+
+  for (const row of due.rows) {
+    const settings = await getSettings(row.portal_id);
+
+    // Mark today's digest first - another instance racing us will skip this portal
+    const marked = await pool.query(
+      `INSERT INTO notification_settings (portal_id, last_digest_at) VALUES ($1, NOW())
+       ON CONFLICT (portal_id) DO UPDATE SET last_digest_at = NOW()
+       WHERE notification_settings.last_digest_at IS NULL OR notification_settings.last_digest_at::date < CURRENT_DATE
+       RETURNING portal_id`,
+      [row.portal_id]
+    );
+    if (marked.rows.length === 0) continue;
+
+    const items = await pool.query(
+      "SELECT id FROM notifications WHERE portal_id = $1 AND sent_at IS NULL AND delivery = 'digest'",
+      [row.portal_id]
+    );
+    const sent = await deliver({ id: row.portal_id, name: row.name }, settings, items.rows, `${row.name}: your daily client digest`);
+    // Not sent today after all, so the next run tries again
+    if (!sent) await pool.query('UPDATE notification_settings SET last_digest_at = NULL WHERE portal_id = $1', [row.portal_id]);
+  }
+}
+
+function startNotificationWorker() {
+  const tick = () => Promise.resolve()
+    .then(flushInstant)
+    .then(flushDigests)
+    .catch(error => console.error('Notification worker error:', error.message));
+  return setInterval(tick, WORKER_INTERVAL_MS);
+}
+
+module.exports = { EVENT_TYPES, DELIVERY_MODES, getSettings, saveSettings, notify, startNotificationWorker };
@@ -0,0 +1,88 @@
+// Requests to URLs users hand us (webhook endpoints, invoice logos) - public addresses only, plus
+// what ALLOWED_PRIVATE_HOSTS lets through, e.g. a receiver on the same Docker network
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Loopback, private, link-local, carrier-grade NAT and unspecified ranges (IPv4-mapped IPv6 included)
+const PRIVATE_RANGES = new net.BlockList();
+for (const [net4, prefix] of [['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]) {
+  PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4');
+}
+for (const [net6, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6');
+}
+
+function familyName(family) {
+  return family === 6 ? 'ipv6' : 'ipv4';
+}
+
+// ALLOWED_PRIVATE_HOSTS: comma-separated hostnames, addresses and CIDR ranges
+const allowedHosts = new Set();
+const allowedRanges = new net.BlockList();
+for (const entry of (process.env.ALLOWED_PRIVATE_HOSTS || '').split(',').map(e => e.trim().toLowerCase()).filter(Boolean)) {
+  const [address, prefix] = entry.split('/');
+  const family = net.isIP(address);
+  if (family) allowedRanges.addSubnet(address, prefix ? Number(prefix) : (family === 6 ? 128 : 32), familyName(family));
+  else allowedHosts.add(entry);
+}
+
+function isAllowed({ address, family }) {
+  return !PRIVATE_RANGES.check(address, familyName(family)) || allowedRanges.check(address, familyName(family));
+}
+
+// The parsed URL and the address to connect to, or { error } when the URL isn't http(s) or its
+// host resolves to a private address that isn't allowed
+async function resolve(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { error: 'Invalid URL' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { error: 'URL must be http(s)' };
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  let addresses;
+  try {
+    addresses = await dns.lookup(hostname, { all: true, verbatim: true });
+  } catch (e) {
+    return { error: 'Host not found' };
+  }
+  if (!allowedHosts.has(hostname) && !addresses.every(isAllowed)) return { error: 'URL must not point to a private address' };
+  return { url: parsed, address: addresses[0] };
+}
+
+// Error message for a URL requests can't go to, else null
+async function checkUrl(url) {
+  return (await resolve(url)).error || null;
+}
+
+/**
+ * Send a request to url and resolve with the response (an http.IncomingMessage). The connection
+ * goes to the address that was checked, so a second DNS answer can't point it somewhere
+ * private. Redirects aren't followed; timeoutMs covers reading the response too.
+ */
+async function request(url, { method = 'GET', headers = {}, body, timeoutMs }) {
+  const target = await resolve(url);
+  if (target.error) throw new Error(target.error);
+
+  const { address, family } = target.address;
+  const lookup = (hostname, options, callback) => {
+    if (options.all) callback(null, [{ address, family }]);
+    else callback(null, address, family);
+  };
+  return new Promise((done, fail) => {
+    const req = (target.url.protocol === 'https:' ? https : http).request(
+      target.url,
+      { method, headers, lookup, signal: AbortSignal.timeout(timeoutMs) },
+      done
+    );
+    req.on('error', fail);
+    req.end(body);
+  });
+}
+
+module.exports = { checkUrl, request };
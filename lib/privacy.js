@@ -0,0 +1,104 @@
+// Privacy - right-to-erasure for clients and the audit log of exports, imports and erasures
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const storage = require('./storage');
+
+const ERASED_NAME = 'Erased client';
+const LOG_LIMIT = 200;
+
+// One audit log entry; db is the pool or a transaction's client. Never put names or emails in details.
+async function audit(db, { userId, portalId, action, subjectType, subjectId, details }) {
+  await db.query(
+    `INSERT INTO audit_log (id, user_id, portal_id, action, subject_type, subject_id, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [nanoid(12), userId, portalId, action, subjectType, subjectId, details ? JSON.stringify(details) : null]
+  );
+}
+
+// The user's audit log, newest first (optionally one portal's)
+async function log(userId, { portalId } = {}) {
+  const result = portalId
+    ? await pool.query(
+      `SELECT * FROM audit_log WHERE user_id = $1 AND portal_id = $2 ORDER BY created_at DESC LIMIT ${LOG_LIMIT}`,
+      [userId, portalId]
+    )
+    : await pool.query(`SELECT * FROM audit_log WHERE user_id = $1 ORDER BY created_at DESC LIMIT ${LOG_LIMIT}`, [userId]);
+  return result.rows;
+}
+
+/**
+ * Erase a client (trashed or not) in one transaction. Its people are deleted, along with their
+ * magic links, and what they left behind is anonymized: IP addresses and user agents of
+ * downloads, document views, sign-offs and accepted quotes are cleared, views, downloads and
+ * replies no longer point at a person, names in approval trails and comments are replaced,
+ * mentions and notifications about them go, and webhook deliveries naming them are blanked.
+ * With keepRecords the client stays as an anonymous placeholder holding its projects, files and
+ * invoices; otherwise it is deleted with all of them. Returns the audit log details.
+ */
+async function eraseClient(client, { userId, reason = null, keepRecords = true }) {
+  const db = await pool.connect();
+  const anonymized = {};
+  const run = async (key, sql, values) => {
+    anonymized[key] = (await db.query(sql, values)).rowCount;
+  };
+
+  let details;
+  try {
+    await db.query('BEGIN');
+    const contacts = (await db.query('SELECT id FROM client_contacts WHERE client_id = $1', [client.id])).rows.map(r => r.id);
+
+    await run('file_downloads', 'UPDATE file_downloads SET ip_address = NULL, contact_id = NULL WHERE client_id = $1', [client.id]);
+    await run('client_views', 'UPDATE client_views SET contact_id = NULL WHERE client_id = $1', [client.id]);
+    await run('billing_document_views', 'UPDATE billing_document_views SET ip_address = NULL, contact_id = NULL WHERE client_id = $1', [client.id]);
+    await run('billing_documents', 'UPDATE billing_documents SET accepted_ip = NULL, accepted_contact_id = NULL WHERE accepted_by = $1', [client.id]);
+    await run('approval_events',
+      `UPDATE approval_events SET actor_name = $2, actor_email = NULL, ip_address = NULL, user_agent = NULL
+       WHERE actor_type = 'client' AND actor_id = ANY($1)`,
+      [contacts, ERASED_NAME]);
+    await run('comments', `UPDATE comments SET author_name = $2 WHERE author_type = 'contact' AND author_id = ANY($1)`, [contacts, ERASED_NAME]);
+    await run('comment_mentions', `DELETE FROM comment_mentions WHERE mention_type = 'contact' AND mention_id = ANY($1)`, [contacts]);
+    await run('updates', 'UPDATE updates SET contact_id = NULL WHERE contact_id = ANY($1)', [contacts]);
+    await run('notifications', 'DELETE FROM notifications WHERE client_id = $1', [client.id]);
+    // Payloads carry names and emails; pending ones would still send them, so they are given up
+    await run('webhook_deliveries',
+      `UPDATE webhook_deliveries d SET payload = '{"erased": true}',
+              status = CASE WHEN d.status = 'pending' THEN 'failed' ELSE d.status END,
+              last_error = CASE WHEN d.status = 'pending' THEN 'Erased' ELSE d.last_error END
+       FROM webhooks w
+       WHERE d.webhook_id = w.id AND w.portal_id = $1
+         AND EXISTS (SELECT 1 FROM unnest($2::text[]) AS s(id) WHERE position('"' || s.id || '"' in d.payload::text) > 0)`,
+      [client.portal_id, [client.id, ...contacts]]);
+
+    await db.query('DELETE FROM client_contacts WHERE client_id = $1', [client.id]);
+
+    let projects = 0;
+    if (keepRecords) {
+      await db.query(
+        'UPDATE clients SET name = $2, email = $3, last_seen_at = NULL, erased_at = NOW() WHERE id = $1',
+        [client.id, ERASED_NAME, `erased-${client.id}@erased.invalid`]
+      );
+    } else {
+      projects = (await db.query('SELECT COUNT(*)::int as n FROM projects WHERE client_id = $1', [client.id])).rows[0].n;
+      await db.query('DELETE FROM clients WHERE id = $1', [client.id]);
+    }
+
+    details = { reason, keep_records: keepRecords, contacts_deleted: contacts.length, projects_deleted: projects, anonymized };
+    await audit(db, { userId, portalId: client.portal_id, action: 'client.erased', subjectType: 'client', subjectId: client.id, details });
+    await db.query('COMMIT');
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+
+  if (!keepRecords) await storage.sweepOrphans();
+  return details;
+}
+
+module.exports = {
+  ERASED_NAME,
+  audit,
+  log,
+  eraseClient
+};
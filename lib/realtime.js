@@ -0,0 +1,103 @@
+// Live updates over Server-Sent Events, fanned out across instances with Postgres LISTEN/NOTIFY
+const pool = require('./db');
+
+const CHANNEL = 'handoff_events';
+const HEARTBEAT_MS = 25 * 1000;
+const RECONNECT_MS = 5 * 1000;
+
+const streams = new Map();  // projectId -> Set of { res, viewer }
+const presence = new Map(); // projectId -> Map(clientId -> { name, connections })
+
+// Publish a project-scoped event to every instance (never throws); internal events, about
+// what clients can't see, only reach the freelancer's dashboard
+async function publish(projectId, type, data = {}, { internal = false } = {}) {
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, JSON.stringify({ projectId, type, data, internal })]);
+  } catch (error) {
+    console.error('Realtime publish failed:', error.message);
+  }
+}
+
+function send(res, type, data) {
+  res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function viewersOf(projectId) {
+  return Array.from((presence.get(projectId) || new Map()).entries())
+    .map(([clientId, p]) => ({ client_id: clientId, name: p.name }));
+}
+
+function trackPresence(projectId, { client_id, name, viewing }) {
+  if (!presence.has(projectId)) presence.set(projectId, new Map());
+  const viewers = presence.get(projectId);
+  const current = viewers.get(client_id) || { name, connections: 0 };
+  current.connections += viewing ? 1 : -1;
+  if (current.connections > 0) viewers.set(client_id, current);
+  else viewers.delete(client_id);
+  if (viewers.size === 0) presence.delete(projectId);
+}
+
+function dispatch({ projectId, type, data, internal }) {
+  if (type === 'presence') trackPresence(projectId, data);
+
+  for (const stream of streams.get(projectId) || []) {
+    // Presence is for the freelancer's dashboard only
+    if ((type === 'presence' || internal) && stream.viewer.type !== 'user') continue;
+    send(stream.res, type, data);
+  }
+}
+
+// Attach an SSE response to a project; viewer is { type: 'user' | 'client', id, name }
+function openStream(req, res, projectId, viewer) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const stream = { res, viewer };
+  if (!streams.has(projectId)) streams.set(projectId, new Set());
+  streams.get(projectId).add(stream);
+
+  if (viewer.type === 'user') send(res, 'presence.snapshot', { viewers: viewersOf(projectId) });
+  if (viewer.type === 'client') publish(projectId, 'presence', { client_id: viewer.id, name: viewer.name, viewing: true });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    const set = streams.get(projectId);
+    set.delete(stream);
+    if (set.size === 0) streams.delete(projectId);
+    if (viewer.type === 'client') publish(projectId, 'presence', { client_id: viewer.id, name: viewer.name, viewing: false });
+  });
+}
+
+// Dedicated connection that LISTENs for events from all instances
+async function startRealtime() {
+  let client;
+  try {
+    client = await pool.connect();
+    client.on('notification', msg => {
+      try {
+        dispatch(JSON.parse(msg.payload));
+      } catch (error) {
+        console.error('Realtime dispatch failed:', error.message);
+      }
+    });
+    client.on('error', error => {
+      console.error('Realtime listener error:', error.message);
+      client.release(true);
+      setTimeout(startRealtime, RECONNECT_MS);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (error) {
+    console.error('Realtime listener failed to start:', error.message);
+    if (client) client.release(true);
+    setTimeout(startRealtime, RECONNECT_MS);
+  }
+}
+
+module.exports = { publish, openStream, startRealtime };
@@ -0,0 +1,146 @@
+// Search - Postgres full-text search over projects, tasks, updates and files with highlighted snippets
+const pool = require('./db');
+const { CLIENT_VISIBLE_FILE } = require('./comments');
+const { escapeHtml } = require('./html');
+
+const TYPES = ['project', 'task', 'update', 'file'];
+const MAX_LIMIT = 50;
+
+// Must match the expressions indexed in migrations/009_search.js
+const DOCUMENTS = {
+  project: "to_tsvector('english', coalesce(pr.name, '') || ' ' || coalesce(pr.description, ''))",
+  task: "to_tsvector('english', coalesce(t.title, '') || ' ' || coalesce(t.description, ''))",
+  update: "to_tsvector('english', u.content)",
+  file: "to_tsvector('english', translate(f.name, '._-', '   '))"
+};
+
+// ts_headline marks matches with control characters; the text is escaped before they become <mark>
+const START = '\u0001';
+const STOP = '\u0002';
+const HEADLINE_OPTIONS = `StartSel=${START}, StopSel=${STOP}, MaxFragments=2, MaxWords=25, MinWords=8, FragmentDelimiter=" … "`;
+
+function highlight(snippet) {
+  return escapeHtml(snippet || '').split(START).join('<mark>').split(STOP).join('</mark>');
+}
+
+function parseDate(value) {
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) return null;
+  return value;
+}
+
+/**
+ * Validate search parameters from a query string: q, portal_id, client_id, project_id,
+ * type (comma-separated list of project, task, update, file), from and to (YYYY-MM-DD,
+ * both inclusive), limit and offset. Returns { params } or { error }.
+ */
+function parseQuery(query) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) return { error: 'q is required' };
+  if (q.length > 200) return { error: 'q can be up to 200 characters' };
+
+  const types = query.type ? String(query.type).split(',').map(t => t.trim()).filter(Boolean) : TYPES;
+  const unknown = types.find(t => !TYPES.includes(t));
+  if (unknown) return { error: `Unknown type: ${unknown}. Use ${TYPES.join(', ')}` };
+
+  const params = {
+    q,
+    types,
+    portalId: query.portal_id || null,
+    clientId: query.client_id || null,
+    projectId: query.project_id || null,
+    from: null,
+    to: null,
+    limit: Math.min(Math.max(parseInt(query.limit) || 20, 1), MAX_LIMIT),
+    offset: Math.max(parseInt(query.offset) || 0, 0)
+  };
+  for (const key of ['from', 'to']) {
+    if (!query[key]) continue;
+    params[key] = parseDate(query[key]);
+    if (!params[key]) return { error: `${key} must be a date (YYYY-MM-DD)` };
+  }
+  return { params };
+}
+
+/**
+ * One SELECT per type, all with the same columns. `scope` is the SQL that limits the rows to
+ * what the searcher may see (over pr, c and p); clientView adds what only the client hides.
+ */
+function typeQueries(types, scope, clientView) {
+  const base = `pr.id as project_id, pr.name as project_name, c.id as client_id, c.name as client_name, p.id as portal_id`;
+  const joins = 'JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id';
+  const match = type => `${DOCUMENTS[type]} @@ websearch_to_tsquery('english', $1)`;
+  const rank = type => `ts_rank(${DOCUMENTS[type]}, websearch_to_tsquery('english', $1)) as rank`;
+
+  const parts = {
+    project: `SELECT 'project' as type, pr.id, pr.name as title, coalesce(pr.description, pr.name) as body, pr.created_at,
+        ${base}, ${rank('project')}
+      FROM projects pr ${joins} WHERE ${scope} AND ${match('project')}`,
+    task: `SELECT 'task' as type, t.id, t.title, coalesce(t.title || ' - ' || t.description, t.title) as body, t.created_at,
+        ${base}, ${rank('task')}
+      FROM tasks t JOIN projects pr ON t.project_id = pr.id ${joins}
+      WHERE ${scope} AND ${match('task')}${clientView ? ' AND t.client_visible' : ''}`,
+    update: `SELECT 'update' as type, u.id, NULL as title, u.content as body, u.created_at,
+        ${base}, ${rank('update')}
+      FROM updates u JOIN projects pr ON u.project_id = pr.id ${joins}
+      WHERE ${scope} AND u.deleted_at IS NULL AND ${match('update')}`,
+    file: `SELECT 'file' as type, f.id, f.name as title, f.name as body, f.created_at,
+        ${base}, ${rank('file')}
+      FROM files f JOIN projects pr ON f.project_id = pr.id ${joins}
+      WHERE ${scope} AND f.deleted_at IS NULL AND ${match('file')}${clientView ? ` AND ${CLIENT_VISIBLE_FILE}` : ''}`
+  };
+  return types.map(type => parts[type]);
+}
+
+async function run(params, scope, scopeValue, clientView) {
+  const values = [params.q, scopeValue];
+  const filters = [];
+  const add = (sql, value) => { values.push(value); filters.push(sql.replace('?', `$${values.length}`)); };
+  if (params.portalId) add('p.id = ?', params.portalId);
+  if (params.clientId) add('c.id = ?', params.clientId);
+  if (params.projectId) add('pr.id = ?', params.projectId);
+
+  // Each part names its created_at differently, so the date range goes around them
+  let parts = typeQueries(params.types, [scope, ...filters].join(' AND '), clientView);
+  const dates = [];
+  if (params.from) { values.push(params.from); dates.push(`created_at >= $${values.length}::date`); }
+  if (params.to) { values.push(params.to); dates.push(`created_at < $${values.length}::date + 1`); }
+  if (dates.length) parts = parts.map(part => `SELECT * FROM (${part}) d WHERE ${dates.join(' AND ')}`);
+
+  values.push(HEADLINE_OPTIONS, params.limit, params.offset);
+  const n = values.length;
+  // Only the page being returned gets headlines, they are the expensive part
+  const result = await pool.query(
+    `SELECT r.*, ts_headline('english', r.body, websearch_to_tsquery('english', $1), $${n - 2}) as snippet
+     FROM (
+       SELECT *, COUNT(*) OVER() as total FROM (${parts.join(' UNION ALL ')}) hits
+       ORDER BY rank DESC, created_at DESC LIMIT $${n - 1} OFFSET $${n}
+     ) r ORDER BY r.rank DESC, r.created_at DESC`,
+    values
+  );
+
+  return {
+    query: params.q,
+    total: result.rows.length ? Number(result.rows[0].total) : 0,
+    results: result.rows.map(({ body, total, rank, snippet, ...hit }) => ({ ...hit, snippet: highlight(snippet) }))
+  };
+}
+
+// Everything in the user's portals, trashed items left out
+async function forUser(userId, params) {
+  const scope = `p.user_id = $2 AND p.deleted_at IS NULL AND c.deleted_at IS NULL AND pr.deleted_at IS NULL`;
+  return run(params, scope, userId, false);
+}
+
+// What the client sees in their portal: their live projects, without internal tasks or their files
+async function forClient(clientId, params) {
+  const scope = `c.id = $2 AND pr.deleted_at IS NULL AND pr.status != 'archived'`;
+  return run({ ...params, portalId: null, clientId: null }, scope, clientId, true);
+}
+
+module.exports = {
+  TYPES,
+  parseQuery,
+  forUser,
+  forClient
+};
@@ -0,0 +1,179 @@
+// Pluggable file storage - STORAGE_DRIVER picks where new uploads go (local | s3)
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { nanoid } = require('nanoid');
+const pool = require('../db');
+
+const drivers = {
+  local: () => require('./local'),
+  s3: () => require('./s3')
+};
+
+const DRIVER = process.env.STORAGE_DRIVER || 'local';
+if (!drivers[DRIVER]) throw new Error(`Unknown STORAGE_DRIVER "${DRIVER}"`);
+
+const DEFAULT_QUOTA_BYTES = process.env.STORAGE_QUOTA_MB ? parseInt(process.env.STORAGE_QUOTA_MB, 10) * 1024 * 1024 : null;
+const ORPHAN_GRACE = '1 hour'; // leaves in-flight uploads alone
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+const loaded = {};
+
+// Objects remember their driver, so switching STORAGE_DRIVER keeps old files readable
+function driver(name = DRIVER) {
+  if (!loaded[name]) {
+    if (!drivers[name]) throw new Error(`Unknown storage driver "${name}"`);
+    loaded[name] = drivers[name]();
+    loaded[name].init();
+  }
+  return loaded[name];
+}
+
+// Stream content to the driver while hashing it; the new object belongs to no portal yet
+async function store(stream, { contentType } = {}) {
+  const hash = crypto.createHash('sha256');
+  let size = 0;
+  const hasher = new Transform({
+    transform(chunk, encoding, done) {
+      hash.update(chunk);
+      size += chunk.length;
+      done(null, chunk);
+    }
+  });
+  stream.on('error', error => hasher.destroy(error));
+  stream.pipe(hasher);
+
+  const key = `uploads/${new Date().toISOString().slice(0, 7)}/${nanoid(24)}`;
+  await driver().put(key, hasher, { contentType });
+  const checksum = hash.digest('hex');
+  const result = await pool.query(
+    'INSERT INTO storage_objects (id, driver, storage_key, checksum, size, mime_type) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
+    [nanoid(12), DRIVER, key, checksum, size, contentType]
+  );
+  return { objectId: result.rows[0].id, path: key, size, checksum };
+}
+
+// Multer storage engine: streams the upload straight to the driver while hashing it
+function multerStorage() {
+  return {
+    _handleFile(req, file, cb) {
+      store(file.stream, { contentType: file.mimetype }).then(stored => cb(null, stored), cb);
+    },
+    _removeFile(req, file, cb) {
+      removeObject(file.objectId).then(() => cb(null), cb);
+    }
+  };
+}
+
+async function getObject(objectId) {
+  const result = await pool.query('SELECT * FROM storage_objects WHERE id = $1', [objectId]);
+  return result.rows[0] || null;
+}
+
+async function removeObject(objectId) {
+  const object = await getObject(objectId);
+  if (!object) return;
+  await driver(object.driver).remove(object.storage_key);
+  await pool.query('DELETE FROM storage_objects WHERE id = $1', [objectId]);
+}
+
+/**
+ * Claim a fresh upload for a portal. Identical content already stored in the portal
+ * is reused and the new copy dropped; returns { object, duplicate }.
+ */
+async function attach(objectId, portalId) {
+  const object = await getObject(objectId);
+  const existing = await pool.query(
+    `SELECT o.*, v.file_id, v.version, v.name FROM storage_objects o 
+     JOIN file_versions v ON v.object_id = o.id
+     WHERE o.portal_id = $1 AND o.checksum = $2 AND o.id <> $3
+     ORDER BY v.created_at LIMIT 1`,
+    [portalId, object.checksum, objectId]
+  );
+
+  if (existing.rows.length > 0) {
+    await removeObject(objectId);
+    const { file_id, version, name, ...reused } = existing.rows[0];
+    return { object: reused, duplicate: { file_id, version, name } };
+  }
+
+  await pool.query('UPDATE storage_objects SET portal_id = $1 WHERE id = $2', [portalId, objectId]);
+  return { object: { ...object, portal_id: portalId }, duplicate: null };
+}
+
+async function usage(portalId) {
+  const result = await pool.query(
+    `SELECT COALESCE(SUM(o.size), 0)::bigint as used_bytes, COUNT(*)::int as object_count
+     FROM storage_objects o WHERE o.portal_id = $1`,
+    [portalId]
+  );
+  const portal = await pool.query('SELECT storage_quota_bytes FROM portals WHERE id = $1', [portalId]);
+  const quota = portal.rows[0]?.storage_quota_bytes ?? DEFAULT_QUOTA_BYTES;
+  return {
+    used_bytes: parseInt(result.rows[0].used_bytes, 10),
+    object_count: result.rows[0].object_count,
+    quota_bytes: quota !== null ? parseInt(quota, 10) : null
+  };
+}
+
+// Readable stream of an object's content
+async function read(objectId) {
+  const object = await getObject(objectId);
+  if (!object) throw new Error(`Storage object ${objectId} not found`);
+  return driver(object.driver).get(object.storage_key);
+}
+
+// Download target for an object: a signed URL (redirect) or a local path (stream)
+async function downloadTarget(objectId, { filename, contentType }) {
+  const object = await getObject(objectId);
+  if (!object) return null;
+  const d = driver(object.driver);
+  const url = await d.signedUrl(object.storage_key, { filename, contentType });
+  return url ? { url } : { path: d.localPath(object.storage_key) };
+}
+
+// Delete objects no file version points at any more (covers every ON DELETE CASCADE)
+async function sweepOrphans() {
+  const orphans = await pool.query(
+    `SELECT id FROM storage_objects o 
+     WHERE NOT EXISTS (SELECT 1 FROM file_versions v WHERE v.object_id = o.id)
+       AND o.created_at < NOW() - INTERVAL '${ORPHAN_GRACE}'
+     LIMIT 500`
+  );
+  for (const row of orphans.rows) {
+    try {
+      await removeObject(row.id);
+    } catch (error) {
+      console.error(`Failed to delete storage object ${row.id}:`, error.message);
+    }
+  }
+  return orphans.rows.length;
+}
+
+// Delete the given objects right away if nothing references them any more
+async function removeUnreferenced(objectIds) {
+  const unreferenced = await pool.query(
+    `SELECT id FROM storage_objects o 
+     WHERE o.id = ANY($1) AND NOT EXISTS (SELECT 1 FROM file_versions v WHERE v.object_id = o.id)`,
+    [objectIds]
+  );
+  for (const row of unreferenced.rows) await removeObject(row.id);
+}
+
+function startStorageSweeper() {
+  return setInterval(() => sweepOrphans().catch(error => console.error('Storage sweep failed:', error.message)), SWEEP_INTERVAL_MS);
+}
+
+module.exports = {
+  DRIVER,
+  driver,
+  store,
+  multerStorage,
+  attach,
+  removeObject,
+  usage,
+  read,
+  downloadTarget,
+  sweepOrphans,
+  removeUnreferenced,
+  startStorageSweeper
+};
@@ -0,0 +1,43 @@
+// Local disk driver - objects live under STORAGE_LOCAL_ROOT (default /data/uploads)
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const ROOT = process.env.STORAGE_LOCAL_ROOT || '/data/uploads';
+
+// Keys are relative to ROOT; absolute paths are files stored before the storage layer existed
+function resolve(key) {
+  if (path.isAbsolute(key)) return key;
+  const full = path.join(ROOT, key);
+  if (!full.startsWith(ROOT + path.sep)) throw new Error('Invalid storage key');
+  return full;
+}
+
+function init() {
+  if (!fs.existsSync(ROOT)) fs.mkdirSync(ROOT, { recursive: true });
+}
+
+async function put(key, stream) {
+  const full = resolve(key);
+  await fs.promises.mkdir(path.dirname(full), { recursive: true });
+  await pipeline(stream, fs.createWriteStream(full));
+}
+
+function get(key) {
+  return fs.createReadStream(resolve(key));
+}
+
+async function remove(key) {
+  await fs.promises.rm(resolve(key), { force: true });
+}
+
+// Local files are streamed by the app itself - no signed URL
+async function signedUrl() {
+  return null;
+}
+
+function localPath(key) {
+  return resolve(key);
+}
+
+module.exports = { name: 'local', init, put, get, remove, signedUrl, localPath };
@@ -0,0 +1,56 @@
+// S3-compatible driver (AWS S3, MinIO, ...) - multipart streaming uploads, presigned downloads
+const { S3Client, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const BUCKET = process.env.S3_BUCKET;
+const URL_TTL_SECONDS = parseInt(process.env.S3_URL_TTL_SECONDS || '300', 10);
+
+let client = null;
+
+function init() {
+  if (!BUCKET) throw new Error('S3_BUCKET is required for the s3 storage driver');
+  client = new S3Client({
+    endpoint: process.env.S3_ENDPOINT || undefined,
+    region: process.env.S3_REGION || 'us-east-1',
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true', // MinIO
+    credentials: process.env.S3_ACCESS_KEY_ID ? {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    } : undefined
+  });
+}
+
+async function put(key, stream, { contentType } = {}) {
+  const upload = new Upload({
+    client,
+    params: { Bucket: BUCKET, Key: key, Body: stream, ContentType: contentType }
+  });
+  await upload.done();
+}
+
+async function get(key) {
+  const object = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+  return object.Body;
+}
+
+async function remove(key) {
+  await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+}
+
+// Short-lived URL the client downloads from directly
+async function signedUrl(key, { filename, contentType } = {}) {
+  const command = new GetObjectCommand({
+    Bucket: BUCKET,
+    Key: key,
+    ResponseContentDisposition: filename ? `attachment; filename*=UTF-8''${encodeURIComponent(filename)}` : undefined,
+    ResponseContentType: contentType || undefined
+  });
+  return getSignedUrl(client, command, { expiresIn: URL_TTL_SECONDS });
+}
+
+function localPath() {
+  return null;
+}
+
+module.exports = { name: 's3', init, put, get, remove, signedUrl, localPath };
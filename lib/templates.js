@@ -0,0 +1,277 @@
+// Project templates - reusable tasks, relative due dates, a starter update and file slots per portal
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const workflows = require('./workflows');
+
+const MAX_TASKS = 200;
+const MAX_SLOTS = 50;
+const MAX_DUE_IN_DAYS = 3650;
+
+function text(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+function parseTasks(tasks) {
+  if (!Array.isArray(tasks) || tasks.length > MAX_TASKS) return { error: `tasks must be a list of up to ${MAX_TASKS}` };
+  const parsed = [];
+  for (const task of tasks) {
+    const title = text(task?.title);
+    if (!title || title.length > 255) return { error: 'Every task needs a title of up to 255 characters' };
+
+    let dueInDays = null;
+    if (task.due_in_days !== undefined && task.due_in_days !== null && task.due_in_days !== '') {
+      dueInDays = Number(task.due_in_days);
+      if (!Number.isInteger(dueInDays) || dueInDays < 0 || dueInDays > MAX_DUE_IN_DAYS) {
+        return { error: `due_in_days must be a whole number from 0 to ${MAX_DUE_IN_DAYS}` };
+      }
+    }
+    parsed.push({
+      title,
+      description: text(task.description) || null,
+      stage: text(task.stage) || null,
+      due_in_days: dueInDays,
+      client_visible: task.client_visible !== false
+    });
+  }
+  return { tasks: parsed };
+}
+
+function parseSlots(slots) {
+  if (!Array.isArray(slots) || slots.length > MAX_SLOTS) return { error: `file_slots must be a list of up to ${MAX_SLOTS}` };
+  const parsed = [];
+  for (const slot of slots) {
+    const name = text(slot?.name);
+    if (!name || name.length > 255) return { error: 'Every file slot needs a name of up to 255 characters' };
+    parsed.push({ name, description: text(slot.description) || null });
+  }
+  return { slots: parsed };
+}
+
+/**
+ * Validate a template: name, description, task_stages (null uses the portal's), tasks
+ * [{ title, description, stage, due_in_days, client_visible }], starter_update and
+ * file_slots [{ name, description }]. due_in_days counts from the project's kickoff date.
+ * Returns { fields } or { error }; partial leaves out what the body doesn't mention.
+ */
+function parseTemplate(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = text(body.name);
+    if (!name || name.length > 255) return { error: 'Template name is required' };
+    fields.name = name;
+  }
+  if (body.description !== undefined) fields.description = text(body.description) || null;
+  if (body.task_stages !== undefined) {
+    if (body.task_stages === null) {
+      fields.task_stages = null;
+    } else {
+      const { stages, error } = workflows.parseStages(body.task_stages);
+      if (error) return { error };
+      fields.task_stages = stages;
+    }
+  }
+  if (body.tasks !== undefined || !partial) {
+    const { tasks, error } = parseTasks(body.tasks || []);
+    if (error) return { error };
+    fields.tasks = tasks;
+  }
+  if (body.starter_update !== undefined) fields.starter_update = text(body.starter_update) || null;
+  if (body.file_slots !== undefined || !partial) {
+    const { slots, error } = parseSlots(body.file_slots || []);
+    if (error) return { error };
+    fields.file_slots = slots;
+  }
+
+  if (fields.task_stages && fields.tasks) {
+    const unknown = fields.tasks.find(t => t.stage && !fields.task_stages.some(s => s.key === t.stage));
+    if (unknown) return { error: `Task "${unknown.title}" is in a stage the template doesn't have: ${unknown.stage}` };
+  }
+  return { fields };
+}
+
+// JSONB columns go in as text so pg doesn't turn the lists into Postgres arrays
+function columnValue(column, value) {
+  return ['task_stages', 'tasks', 'file_slots'].includes(column) && value !== null ? JSON.stringify(value) : value;
+}
+
+async function create(portalId, fields) {
+  const columns = Object.keys(fields);
+  const result = await pool.query(
+    `INSERT INTO project_templates (id, portal_id, ${columns.join(', ')})
+     VALUES ($1, $2, ${columns.map((_, idx) => `$${idx + 3}`).join(', ')}) RETURNING *`,
+    [nanoid(12), portalId, ...columns.map(col => columnValue(col, fields[col]))]
+  );
+  return result.rows[0];
+}
+
+async function update(templateId, fields) {
+  const updates = ['updated_at = NOW()'];
+  const values = [];
+  let i = 1;
+  for (const [column, value] of Object.entries(fields)) {
+    updates.push(`${column} = $${i++}`);
+    values.push(columnValue(column, value));
+  }
+  values.push(templateId);
+  const result = await pool.query(`UPDATE project_templates SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+  return result.rows[0];
+}
+
+async function list(portalId) {
+  const result = await pool.query(
+    `SELECT t.*, jsonb_array_length(t.tasks) as task_count,
+            (SELECT COUNT(*) FROM projects pr WHERE pr.template_id = t.id AND pr.deleted_at IS NULL)::int as project_count
+     FROM project_templates t WHERE t.portal_id = $1 ORDER BY t.name`,
+    [portalId]
+  );
+  return result.rows;
+}
+
+// Whole days between two dates, ignoring the time of day
+function daysBetween(from, to) {
+  const day = d => Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  return Math.round((day(to) - day(from)) / 86400000);
+}
+
+function addDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+// YYYY-MM-DD kickoff date, today when left out; null when it isn't a date
+function parseKickoff(value) {
+  if (!value) return new Date().toISOString().slice(0, 10);
+  const date = new Date(`${value}T00:00:00Z`);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(date) || date.toISOString().slice(0, 10) !== value) return null;
+  return value;
+}
+
+/**
+ * Template fields from an existing project: its tasks in board order with due dates made
+ * relative to its kickoff (or creation) date, its first update of yours, its own stages,
+ * and a file slot for every slot and file it has.
+ */
+async function fromProject(projectId) {
+  const project = (await pool.query('SELECT * FROM projects WHERE id = $1', [projectId])).rows[0];
+  const kickoff = project.kickoff_date || project.created_at;
+  const stages = await workflows.stagesFor(projectId);
+  const stageIndex = key => stages.findIndex(s => s.key === key);
+
+  const tasks = await pool.query(
+    'SELECT title, description, stage, due_date, client_visible FROM tasks WHERE project_id = $1 ORDER BY position, created_at',
+    [projectId]
+  );
+  const starter = await pool.query(
+    `SELECT content FROM updates WHERE project_id = $1 AND author_type = 'user' AND deleted_at IS NULL ORDER BY created_at LIMIT 1`,
+    [projectId]
+  );
+  const slots = await pool.query(
+    `SELECT s.name, s.description FROM project_file_slots s WHERE s.project_id = $1 ORDER BY s.position`,
+    [projectId]
+  );
+  // Comment attachments and files already standing in a slot don't get one of their own
+  const files = await pool.query(
+    `SELECT f.name FROM files f WHERE f.project_id = $1 AND f.deleted_at IS NULL AND f.comment_id IS NULL
+     AND NOT EXISTS (SELECT 1 FROM project_file_slots s WHERE s.file_id = f.id) ORDER BY f.created_at`,
+    [projectId]
+  );
+
+  return {
+    description: project.description,
+    task_stages: project.task_stages,
+    tasks: tasks.rows
+      .sort((a, b) => stageIndex(a.stage) - stageIndex(b.stage))
+      .map(t => ({
+        title: t.title,
+        description: t.description,
+        stage: t.stage,
+        due_in_days: t.due_date ? Math.max(daysBetween(kickoff, t.due_date), 0) : null,
+        client_visible: t.client_visible
+      })),
+    starter_update: starter.rows[0]?.content || null,
+    file_slots: [...slots.rows, ...files.rows.map(f => ({ name: f.name, description: null }))]
+  };
+}
+
+/**
+ * Create a project for a client from a template, all in one transaction: the project (with
+ * the template's stages), its tasks due relative to kickoffDate, the starter update posted
+ * as the actor, and the file slots. Tasks in a stage the board doesn't have start in its first.
+ * Returns { project, update } where update is the starter update's id or null.
+ */
+async function instantiate(template, { clientId, name, description, kickoffDate, actor }) {
+  const stages = template.task_stages || await workflows.portalStages(template.portal_id);
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const project = await client.query(
+      `INSERT INTO projects (id, client_id, name, description, task_stages, template_id, kickoff_date)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [nanoid(12), clientId, name || template.name, description ?? template.description,
+        template.task_stages && JSON.stringify(template.task_stages), template.id, kickoffDate]
+    );
+    const projectId = project.rows[0].id;
+
+    const positions = {};
+    for (const t of template.tasks) {
+      const stage = stages.some(s => s.key === t.stage) ? t.stage : stages[0].key;
+      positions[stage] = (positions[stage] ?? -1) + 1;
+      const task = await client.query(
+        `INSERT INTO tasks (id, project_id, title, description, stage, position, due_date, client_visible)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [nanoid(12), projectId, t.title, t.description, stage, positions[stage],
+          t.due_in_days === null ? null : addDays(kickoffDate, t.due_in_days), t.client_visible !== false]
+      );
+      await workflows.record(client, { task: task.rows[0], actor, action: 'created', toStage: stage, details: { template_id: template.id } });
+    }
+
+    let updateId = null;
+    if (template.starter_update) {
+      updateId = nanoid(12);
+      await client.query(
+        'INSERT INTO updates (id, project_id, author_type, author_id, content) VALUES ($1, $2, $3, $4, $5)',
+        [updateId, projectId, 'user', actor.id, template.starter_update]
+      );
+    }
+
+    for (const [position, slot] of template.file_slots.entries()) {
+      await client.query(
+        'INSERT INTO project_file_slots (id, project_id, name, description, position) VALUES ($1, $2, $3, $4, $5)',
+        [nanoid(12), projectId, slot.name, slot.description, position]
+      );
+    }
+
+    await client.query('COMMIT');
+    return { project: project.rows[0], update: updateId };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// File slots of a project in order, with the file that fills each (if any)
+async function slots(projectId) {
+  const result = await pool.query(
+    `SELECT s.*, f.name as file_name FROM project_file_slots s
+     LEFT JOIN files f ON s.file_id = f.id AND f.deleted_at IS NULL
+     WHERE s.project_id = $1 ORDER BY s.position, s.created_at`,
+    [projectId]
+  );
+  return result.rows.map(s => (s.file_name ? s : { ...s, file_id: null }));
+}
+
+module.exports = {
+  parseTemplate,
+  parseSlots,
+  parseKickoff,
+  create,
+  update,
+  list,
+  fromProject,
+  instantiate,
+  slots
+};
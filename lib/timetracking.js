@@ -0,0 +1,231 @@
+// Time tracking - timers and manual entries on tasks, grouped reports and CSV export
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+
+const MAX_ENTRY_MINUTES = 24 * 60;
+
+// Report groupings: columns to select and what to group them by
+const GROUPS = {
+  task: {
+    select: 't.id as task_id, t.title as task, pr.id as project_id, pr.name as project, c.id as client_id, c.name as client',
+    groupBy: 't.id, pr.id, c.id',
+    orderBy: 'c.name, pr.name, t.title'
+  },
+  project: {
+    select: 'pr.id as project_id, pr.name as project, c.id as client_id, c.name as client',
+    groupBy: 'pr.id, c.id',
+    orderBy: 'c.name, pr.name'
+  },
+  client: {
+    select: 'c.id as client_id, c.name as client',
+    groupBy: 'c.id',
+    orderBy: 'c.name'
+  },
+  day: {
+    select: "to_char(e.started_at, 'YYYY-MM-DD') as day",
+    groupBy: "to_char(e.started_at, 'YYYY-MM-DD')",
+    orderBy: 'day'
+  },
+  entry: {
+    select: `e.id as entry_id, to_char(e.started_at, 'YYYY-MM-DD') as day, e.started_at, e.note, e.billable,
+             t.title as task, pr.name as project, c.name as client`,
+    orderBy: 'e.started_at'
+  }
+};
+
+// Validate a manual entry / edit: started_at (default now), duration_minutes, note, billable. Returns { error } on bad input.
+function parseEntry(body, { partial = false } = {}) {
+  const fields = {};
+
+  if (body.started_at !== undefined || !partial) {
+    const startedAt = body.started_at ? new Date(body.started_at) : new Date();
+    if (isNaN(startedAt)) return { error: 'Invalid started_at' };
+    fields.started_at = startedAt;
+  }
+  if (body.duration_minutes !== undefined || !partial) {
+    const minutes = Number(body.duration_minutes);
+    if (!Number.isFinite(minutes) || minutes <= 0 || minutes > MAX_ENTRY_MINUTES) {
+      return { error: `duration_minutes must be between 0 and ${MAX_ENTRY_MINUTES}` };
+    }
+    fields.duration_seconds = Math.round(minutes * 60);
+  }
+  if (body.note !== undefined) fields.note = body.note || null;
+  if (body.billable !== undefined) fields.billable = body.billable !== false && body.billable !== 'false';
+
+  return { fields };
+}
+
+// Start a timer on a task; a timer already running for this user is stopped first
+async function startTimer(taskId, userId, { note, billable }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const stopped = await client.query(
+      `UPDATE time_entries SET ended_at = NOW(), duration_seconds = GREATEST(EXTRACT(EPOCH FROM NOW() - started_at)::int, 1)
+       WHERE user_id = $1 AND ended_at IS NULL RETURNING *`,
+      [userId]
+    );
+    const entry = await client.query(
+      `INSERT INTO time_entries (id, task_id, user_id, started_at, note, billable) VALUES ($1, $2, $3, NOW(), $4, $5) RETURNING *`,
+      [nanoid(12), taskId, userId, note || null, billable !== false]
+    );
+    await client.query('COMMIT');
+    return { entry: entry.rows[0], stopped: stopped.rows[0] || null };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Stop a running timer; null if it was already stopped
+async function stopTimer(entryId) {
+  const result = await pool.query(
+    `UPDATE time_entries SET ended_at = NOW(), duration_seconds = GREATEST(EXTRACT(EPOCH FROM NOW() - started_at)::int, 1)
+     WHERE id = $1 AND ended_at IS NULL RETURNING *`,
+    [entryId]
+  );
+  return result.rows[0] || null;
+}
+
+async function runningTimer(userId) {
+  const result = await pool.query(
+    `SELECT e.*, t.title as task_title, t.project_id, pr.name as project_name FROM time_entries e
+     JOIN tasks t ON e.task_id = t.id JOIN projects pr ON t.project_id = pr.id
+     WHERE e.user_id = $1 AND e.ended_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+function hours(seconds) {
+  return Math.round((Number(seconds) || 0) / 36) / 100;
+}
+
+// Parse report filters from the query string; returns { error } on bad input
+function parseReportQuery(query) {
+  const groupBy = query.group_by || 'task';
+  if (!GROUPS[groupBy]) return { error: `group_by must be one of: ${Object.keys(GROUPS).join(', ')}` };
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && isNaN(from)) || (to && isNaN(to))) return { error: 'Invalid from/to date' };
+  if (from && to && from > to) return { error: 'from must be before to' };
+
+  let billable = null;
+  if (query.billable === 'true') billable = true;
+  if (query.billable === 'false') billable = false;
+
+  return {
+    groupBy,
+    from,
+    to,
+    billable,
+    portalId: query.portal_id || null,
+    clientId: query.client_id || null,
+    projectId: query.project_id || null,
+    taskId: query.task_id || null
+  };
+}
+
+/**
+ * Total tracked time for the user's portals, grouped by task, project, client, day or
+ * listed per entry. Running timers are left out until stopped. `to` is inclusive by day.
+ */
+async function report(userId, { groupBy, from, to, billable, portalId, clientId, projectId, taskId }) {
+  const group = GROUPS[groupBy];
+  const conditions = [
+    'p.user_id = $1',
+    'e.ended_at IS NOT NULL',
+    'p.deleted_at IS NULL',
+    'c.deleted_at IS NULL',
+    'pr.deleted_at IS NULL'
+  ];
+  const values = [userId];
+  let i = 2;
+
+  if (from) { conditions.push(`e.started_at >= $${i++}`); values.push(from); }
+  if (to) { conditions.push(`e.started_at < $${i++}::date + 1`); values.push(to); }
+  if (billable !== null) { conditions.push(`e.billable = $${i++}`); values.push(billable); }
+  if (portalId) { conditions.push(`p.id = $${i++}`); values.push(portalId); }
+  if (clientId) { conditions.push(`c.id = $${i++}`); values.push(clientId); }
+  if (projectId) { conditions.push(`pr.id = $${i++}`); values.push(projectId); }
+  if (taskId) { conditions.push(`t.id = $${i++}`); values.push(taskId); }
+
+  const totals = group.groupBy
+    ? `SUM(e.duration_seconds)::int as total_seconds,
+       COALESCE(SUM(e.duration_seconds) FILTER (WHERE e.billable), 0)::int as billable_seconds,
+       COUNT(*)::int as entries`
+    : `e.duration_seconds as total_seconds, CASE WHEN e.billable THEN e.duration_seconds ELSE 0 END as billable_seconds`;
+
+  const result = await pool.query(
+    `SELECT ${group.select}, ${totals}
+     FROM time_entries e JOIN tasks t ON e.task_id = t.id JOIN projects pr ON t.project_id = pr.id
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id
+     WHERE ${conditions.join(' AND ')}
+     ${group.groupBy ? `GROUP BY ${group.groupBy}` : ''}
+     ORDER BY ${group.orderBy}`,
+    values
+  );
+
+  const rows = result.rows.map(row => ({ ...row, hours: hours(row.total_seconds), billable_hours: hours(row.billable_seconds) }));
+  const total = rows.reduce((sum, row) => sum + row.total_seconds, 0);
+  const billableTotal = rows.reduce((sum, row) => sum + row.billable_seconds, 0);
+  return {
+    group_by: groupBy,
+    rows,
+    total_hours: hours(total),
+    billable_hours: hours(billableTotal)
+  };
+}
+
+// Text starting like a formula is prefixed with ' so spreadsheets don't evaluate it
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let str = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// CSV of a report: the readable columns of the grouping, then hours (ids left out)
+function toCsv({ rows }, groupBy) {
+  const columns = {
+    task: ['client', 'project', 'task'],
+    project: ['client', 'project'],
+    client: ['client'],
+    day: ['day'],
+    entry: ['day', 'started_at', 'client', 'project', 'task', 'note', 'billable']
+  }[groupBy];
+  const header = [...columns, 'hours', 'billable_hours'];
+  const lines = rows.map(row => header.map(col => csvValue(row[col])).join(','));
+  return [header.join(','), ...lines].join('\r\n') + '\r\n';
+}
+
+// What a client sees when the portal shares time: hours per client-visible task, billable or not
+async function clientSummary(projectId) {
+  const result = await pool.query(
+    `SELECT t.id as task_id, t.title, SUM(e.duration_seconds)::int as total_seconds
+     FROM time_entries e JOIN tasks t ON e.task_id = t.id
+     WHERE t.project_id = $1 AND t.client_visible AND e.ended_at IS NOT NULL
+     GROUP BY t.id ORDER BY total_seconds DESC`,
+    [projectId]
+  );
+  const total = result.rows.reduce((sum, row) => sum + row.total_seconds, 0);
+  return {
+    total_hours: hours(total),
+    tasks: result.rows.map(row => ({ task_id: row.task_id, title: row.title, hours: hours(row.total_seconds) }))
+  };
+}
+
+module.exports = {
+  GROUPS,
+  parseEntry,
+  startTimer,
+  stopTimer,
+  runningTimer,
+  parseReportQuery,
+  report,
+  toCsv,
+  clientSummary
+};
@@ -0,0 +1,132 @@
+// Trash - soft-deleted portals, clients, contacts, projects, updates and files stay restorable
+// for TRASH_RETENTION_DAYS, then get purged for good (their stored blobs with them)
+const pool = require('./db');
+const storage = require('./storage');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Per type: the ownership chain up to portals (aliased p), a label and the parent it lived in.
+// targetOf names the tables pointing at it through target_type/target_id, without a foreign key
+// to clear them when it is purged.
+const TYPES = {
+  portal: {
+    table: 'portals',
+    from: 'portals x JOIN portals p ON p.id = x.id',
+    label: 'x.name',
+    parent: 'NULL'
+  },
+  client: {
+    table: 'clients',
+    from: 'clients x JOIN portals p ON x.portal_id = p.id',
+    label: 'x.name',
+    parent: 'p.name'
+  },
+  contact: {
+    table: 'client_contacts',
+    from: 'client_contacts x JOIN clients c ON x.client_id = c.id JOIN portals p ON c.portal_id = p.id',
+    label: 'x.name',
+    parent: 'c.name'
+  },
+  project: {
+    table: 'projects',
+    from: 'projects x JOIN clients c ON x.client_id = c.id JOIN portals p ON c.portal_id = p.id',
+    label: 'x.name',
+    parent: 'c.name'
+  },
+  update: {
+    table: 'updates',
+    from: 'updates x JOIN projects pr ON x.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id',
+    label: 'LEFT(x.content, 80)',
+    parent: 'pr.name',
+    targetOf: ['comments']
+  },
+  file: {
+    table: 'files',
+    from: 'files x JOIN projects pr ON x.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id',
+    label: 'x.name',
+    parent: 'pr.name',
+    targetOf: ['comments', 'approvals']
+  }
+};
+
+async function list(userId) {
+  const parts = Object.entries(TYPES).map(([type, t]) =>
+    `SELECT '${type}' as type, x.id, ${t.label} as label, ${t.parent} as parent, x.deleted_at,
+            x.deleted_at + INTERVAL '${RETENTION_DAYS} days' as purge_at
+     FROM ${t.from} WHERE p.user_id = $1 AND x.deleted_at IS NOT NULL`
+  );
+  const result = await pool.query(`${parts.join(' UNION ALL ')} ORDER BY deleted_at DESC`, [userId]);
+  return result.rows;
+}
+
+// Trashed row owned by the user, or null
+async function findOwned(type, id, userId) {
+  const t = TYPES[type];
+  if (!t) return null;
+  const result = await pool.query(
+    `SELECT x.id FROM ${t.from} WHERE x.id = $1 AND p.user_id = $2 AND x.deleted_at IS NOT NULL`,
+    [id, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Throws the unique violation (23505) if a live portal, client or contact took the name meanwhile
+async function restore(type, id) {
+  await pool.query(`UPDATE ${TYPES[type].table} SET deleted_at = NULL WHERE id = $1`, [id]);
+}
+
+// Delete the rows of a type matching where, and their comments and approvals, in one transaction
+async function remove(type, where, values) {
+  const t = TYPES[type];
+  const db = await pool.connect();
+  try {
+    await db.query('BEGIN');
+    const deleted = await db.query(`DELETE FROM ${t.table} WHERE ${where} RETURNING id`, values);
+    const ids = deleted.rows.map(r => r.id);
+    for (const table of t.targetOf || []) {
+      await db.query(`DELETE FROM ${table} WHERE target_type = $1 AND target_id = ANY($2)`, [type, ids]);
+    }
+    await db.query('COMMIT');
+    return ids.length;
+  } catch (error) {
+    await db.query('ROLLBACK');
+    throw error;
+  } finally {
+    db.release();
+  }
+}
+
+async function purge(type, id) {
+  await remove(type, 'id = $1', [id]);
+  await storage.sweepOrphans();
+}
+
+// One type failing doesn't hold up the others
+async function purgeExpired() {
+  let purged = 0;
+  for (const type of Object.keys(TYPES)) {
+    try {
+      purged += await remove(type, `deleted_at < NOW() - INTERVAL '${RETENTION_DAYS} days'`, []);
+    } catch (error) {
+      console.error(`Trash purge of ${type} items failed:`, error.message);
+    }
+  }
+  if (purged > 0) await storage.sweepOrphans();
+  return purged;
+}
+
+function startTrashPurger() {
+  return setInterval(() => purgeExpired().catch(error => console.error('Trash purge failed:', error.message)), PURGE_INTERVAL_MS);
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  TYPES,
+  list,
+  findOwned,
+  restore,
+  purge,
+  purgeExpired,
+  startTrashPurger
+};
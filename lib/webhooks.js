@@ -0,0 +1,140 @@
+// Outgoing webhooks - signed JSON deliveries from a persistent queue with exponential backoff
+const crypto = require('crypto');
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+const outbound = require('./outbound');
+
+const EVENT_TYPES = ['client.viewed', 'file.downloaded', 'update.posted', 'task.stage_changed', 'client.created'];
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30 * 1000; // 30s, 1m, 2m, 4m ... ~1h before giving up
+const LEASE_MS = 5 * 60 * 1000;
+const TIMEOUT_MS = 10 * 1000;
+const WORKER_INTERVAL_MS = 10 * 1000;
+const ERROR_LENGTH = 200;
+
+function generateSecret() {
+  return `whsec_${nanoid(32)}`;
+}
+
+// Receivers verify with HMAC-SHA256(secret, `${timestamp}.${body}`)
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Queue a delivery for every active webhook of the portal subscribed to this event
+async function emit(portalId, eventType, data) {
+  try {
+    const hooks = await pool.query(
+      'SELECT id FROM webhooks WHERE portal_id = $1 AND active = TRUE AND events ? $2',
+      [portalId, eventType]
+    );
+    if (hooks.rows.length === 0) return;
+
+    const createdAt = new Date().toISOString();
+    for (const hook of hooks.rows) {
+      const id = nanoid(12);
+      const payload = { id, event: eventType, created_at: createdAt, portal_id: portalId, data };
+      await pool.query(
+        'INSERT INTO webhook_deliveries (id, webhook_id, event_type, payload) VALUES ($1, $2, $3, $4)',
+        [id, hook.id, eventType, JSON.stringify(payload)]
+      );
+    }
+    setImmediate(processDue);
+  } catch (error) {
+    console.error('Webhook emit failed:', error.message);
+  }
+}
+
+// Re-send a past delivery as a new one (the original stays in the log)
+async function redeliver(delivery) {
+  const id = nanoid(12);
+  const payload = { ...delivery.payload, id };
+  const result = await pool.query(
+    `INSERT INTO webhook_deliveries (id, webhook_id, event_type, payload, redelivery_of) 
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [id, delivery.webhook_id, delivery.event_type, JSON.stringify(payload), delivery.id]
+  );
+  setImmediate(processDue);
+  return result.rows[0];
+}
+
+async function attempt(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  let statusCode = null;
+  let error = null;
+
+  try {
+    // Checked again on every attempt, and sent to the address checked: the host may resolve somewhere else by now
+    const response = await outbound.request(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'User-Agent': 'Handoff-Webhooks/1.0',
+        'X-Handoff-Event': delivery.event_type,
+        'X-Handoff-Delivery': delivery.id,
+        'X-Handoff-Timestamp': timestamp,
+        'X-Handoff-Signature': sign(delivery.secret, timestamp, body)
+      },
+      body,
+      timeoutMs: TIMEOUT_MS
+    });
+    statusCode = response.statusCode;
+    // Receivers' responses are never stored, only their status
+    response.resume();
+    if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+  } catch (e) {
+    error = e.message.slice(0, ERROR_LENGTH);
+  }
+
+  const attempts = delivery.attempts + 1;
+  if (!error) {
+    await pool.query(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = $1, last_status_code = $2, 
+       last_error = NULL, delivered_at = NOW() WHERE id = $3`,
+      [attempts, statusCode, delivery.id]
+    );
+    return;
+  }
+
+  const giveUp = attempts >= MAX_ATTEMPTS;
+  const delay = BASE_DELAY_MS * Math.pow(2, attempts - 1);
+  await pool.query(
+    `UPDATE webhook_deliveries SET status = $1, attempts = $2, last_status_code = $3, last_error = $4, 
+     next_attempt_at = NOW() + $5 * INTERVAL '1 millisecond' WHERE id = $6`,
+    [giveUp ? 'failed' : 'pending', attempts, statusCode, error, delay, delivery.id]
+  );
+}
+
+let processing = false;
+
+async function processDue() {
+  if (processing) return;
+  processing = true;
+  try {
+    // Lease due rows so a crashed or parallel worker can't send them twice
+    const due = await pool.query(
+      `UPDATE webhook_deliveries d SET next_attempt_at = NOW() + $1 * INTERVAL '1 millisecond'
+       FROM webhooks w
+       WHERE d.webhook_id = w.id AND d.id IN (
+         SELECT id FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at LIMIT 20 FOR UPDATE SKIP LOCKED
+       )
+       RETURNING d.*, w.url, w.secret`,
+      [LEASE_MS]
+    );
+    for (const delivery of due.rows) await attempt(delivery);
+  } catch (error) {
+    console.error('Webhook worker error:', error.message);
+  } finally {
+    processing = false;
+  }
+}
+
+function startWebhookWorker() {
+  return setInterval(processDue, WORKER_INTERVAL_MS);
+}
+
+module.exports = { EVENT_TYPES, generateSecret, sign, emit, redeliver, startWebhookWorker };
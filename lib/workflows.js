@@ -0,0 +1,234 @@
+// Workflows - Kanban stages per portal or project, atomic task moves, WIP limits and task activity
+const { nanoid } = require('nanoid');
+const pool = require('./db');
+
+const DEFAULT_STAGES = [
+  { key: 'backlog', name: 'Backlog', wip_limit: null },
+  { key: 'in_progress', name: 'In Progress', wip_limit: null },
+  { key: 'review', name: 'Review', wip_limit: null },
+  { key: 'done', name: 'Done', wip_limit: null }
+];
+const MAX_STAGES = 12;
+
+function stageKey(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 20);
+}
+
+/**
+ * Validate a stage list: [{ key, name, wip_limit }] in board order. Tasks store the key, so a
+ * stage keeps its key when renamed; new stages without one get it from their name.
+ */
+function parseStages(input) {
+  if (!Array.isArray(input) || input.length === 0 || input.length > MAX_STAGES) {
+    return { error: `A workflow needs between 1 and ${MAX_STAGES} stages` };
+  }
+  const stages = [];
+  for (const stage of input) {
+    const name = typeof stage?.name === 'string' ? stage.name.trim() : '';
+    if (!name || name.length > 40) return { error: 'Every stage needs a name of up to 40 characters' };
+    const key = stage.key || stageKey(name);
+    if (!/^[a-z0-9_]{1,20}$/.test(key)) return { error: `Stage "${name}" needs a key of a-z, 0-9 and _` };
+    if (stages.some(s => s.key === key)) return { error: `Stage ${key} is listed twice` };
+
+    let wipLimit = null;
+    if (stage.wip_limit !== undefined && stage.wip_limit !== null && stage.wip_limit !== '') {
+      wipLimit = Number(stage.wip_limit);
+      if (!Number.isInteger(wipLimit) || wipLimit < 1) return { error: 'wip_limit must be a whole number of at least 1' };
+    }
+    stages.push({ key, name, wip_limit: wipLimit });
+  }
+  return { stages };
+}
+
+// The project's own stages, else its portal's, else the default four
+async function stagesFor(projectId, db = pool) {
+  const result = await db.query(
+    `SELECT COALESCE(pr.task_stages, p.task_stages) as stages FROM projects pr
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1`,
+    [projectId]
+  );
+  return result.rows[0]?.stages || DEFAULT_STAGES;
+}
+
+async function portalStages(portalId) {
+  const result = await pool.query('SELECT task_stages FROM portals WHERE id = $1', [portalId]);
+  return result.rows[0]?.task_stages || DEFAULT_STAGES;
+}
+
+/**
+ * Stages outside `keys` that still hold tasks - in one project, or in every project of a
+ * portal that follows the portal's workflow. Trashed projects count, they can come back.
+ */
+async function stagesInUse({ portalId, projectId }, keys) {
+  const result = projectId
+    ? await pool.query('SELECT DISTINCT stage FROM tasks WHERE project_id = $1 AND NOT (stage = ANY($2))', [projectId, keys])
+    : await pool.query(
+      `SELECT DISTINCT t.stage FROM tasks t JOIN projects pr ON t.project_id = pr.id JOIN clients c ON pr.client_id = c.id
+       WHERE c.portal_id = $1 AND pr.task_stages IS NULL AND NOT (t.stage = ANY($2))`,
+      [portalId, keys]
+    );
+  return result.rows.map(r => r.stage);
+}
+
+// One line of task history; db is the pool or a transaction's client
+async function record(db, { task, actor, action, fromStage, toStage, details }) {
+  await db.query(
+    `INSERT INTO task_activity (id, project_id, task_id, task_title, actor_type, actor_id, actor_name, action, from_stage, to_stage, details)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+    [nanoid(12), task.project_id, task.id, task.title, actor.type, actor.id, actor.name, action,
+      fromStage || null, toStage || null, details ? JSON.stringify(details) : null]
+  );
+}
+
+// Give a column's tasks positions 0..n-1 in the order of ids
+async function renumber(db, stage, ids) {
+  await db.query(
+    `UPDATE tasks t SET stage = $1, position = v.ord - 1
+     FROM unnest($2::varchar[]) WITH ORDINALITY AS v(id, ord) WHERE t.id = v.id`,
+    [stage, ids]
+  );
+}
+
+async function columnIds(db, projectId, stage, exceptId = null) {
+  const result = await db.query(
+    'SELECT id FROM tasks WHERE project_id = $1 AND stage = $2 AND id IS DISTINCT FROM $3::varchar ORDER BY position, created_at',
+    [projectId, stage, exceptId]
+  );
+  return result.rows.map(r => r.id);
+}
+
+function wipError(stage) {
+  return { error: `${stage.name} is at its WIP limit of ${stage.wip_limit}`, code: 'WIP_LIMIT' };
+}
+
+// Run fn(db) in a transaction holding the project row, so moves on one board queue up
+async function withBoard(projectId, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM projects WHERE id = $1 FOR UPDATE', [projectId]);
+    const result = await fn(client);
+    await client.query(result.error ? 'ROLLBACK' : 'COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Add a task at the end of its column (the first stage by default). Returns { task }, or
+ * { error, code } for an unknown stage or a full column (code WIP_LIMIT).
+ */
+async function createTask(projectId, { title, description, stage, due_date, client_visible }, actor) {
+  return withBoard(projectId, async db => {
+    const stages = await stagesFor(projectId, db);
+    const target = stage ? stages.find(s => s.key === stage) : stages[0];
+    if (!target) return { error: `Unknown stage: ${stage}`, code: 'UNKNOWN_STAGE' };
+
+    const column = await columnIds(db, projectId, target.key);
+    if (target.wip_limit && column.length >= target.wip_limit) return wipError(target);
+
+    const result = await db.query(
+      `INSERT INTO tasks (id, project_id, title, description, stage, position, due_date, client_visible)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [nanoid(12), projectId, title, description, target.key, column.length, due_date, client_visible !== false]
+    );
+    const task = result.rows[0];
+    await record(db, { task, actor, action: 'created', toStage: target.key });
+    return { task };
+  });
+}
+
+/**
+ * Move a task to a stage and a 0-based position (clamped; the end of the column when left
+ * out). Both columns are renumbered in the same transaction. Returns { task, from, to } -
+ * to is null when nothing moved - or { error, code } like createTask.
+ */
+async function moveTask(task, { stage, position }, actor) {
+  if (position !== undefined && position !== null && !Number.isInteger(Number(position))) {
+    return { error: 'position must be a whole number', code: 'INVALID_POSITION' };
+  }
+
+  return withBoard(task.project_id, async db => {
+    const current = await db.query('SELECT * FROM tasks WHERE id = $1', [task.id]);
+    if (current.rows.length === 0) return { error: 'Task not found', code: 'NOT_FOUND' };
+    const before = current.rows[0];
+
+    const stages = await stagesFor(before.project_id, db);
+    const key = stage || before.stage;
+    const target = stages.find(s => s.key === key);
+    if (!target) return { error: `Unknown stage: ${key}`, code: 'UNKNOWN_STAGE' };
+
+    const column = await columnIds(db, before.project_id, target.key, before.id);
+    const changesStage = target.key !== before.stage;
+    if (changesStage && target.wip_limit && column.length >= target.wip_limit) return wipError(target);
+
+    const at = position === undefined || position === null
+      ? column.length
+      : Math.max(0, Math.min(Number(position), column.length));
+    const from = { stage: before.stage, position: before.position };
+    if (!changesStage && at === before.position) return { task: before, from, to: null };
+
+    column.splice(at, 0, before.id);
+    await renumber(db, target.key, column);
+    if (changesStage) await renumber(db, before.stage, await columnIds(db, before.project_id, before.stage));
+
+    const to = { stage: target.key, position: at };
+    await record(db, {
+      task: before,
+      actor,
+      action: 'moved',
+      fromStage: from.stage,
+      toStage: to.stage,
+      details: { from_position: from.position, to_position: to.position }
+    });
+    return { task: { ...before, stage: to.stage, position: at }, from, to };
+  });
+}
+
+// Log edits other than moves: which fields changed, and visibility on its own
+async function recordEdit(task, actor, fields) {
+  const changed = Object.keys(fields).filter(f => f !== 'client_visible');
+  if (changed.length) await record(pool, { task, actor, action: 'updated', details: { fields: changed } });
+  if (fields.client_visible !== undefined) {
+    await record(pool, { task, actor, action: fields.client_visible ? 'shown' : 'hidden' });
+  }
+}
+
+async function deleteTask(task, actor) {
+  return withBoard(task.project_id, async db => {
+    const deleted = await db.query('DELETE FROM tasks WHERE id = $1 RETURNING *', [task.id]);
+    if (deleted.rows.length === 0) return { error: 'Task not found', code: 'NOT_FOUND' };
+    const { stage } = deleted.rows[0];
+    await renumber(db, stage, await columnIds(db, task.project_id, stage));
+    await record(db, { task: deleted.rows[0], actor, action: 'deleted', fromStage: stage });
+    return { task: deleted.rows[0] };
+  });
+}
+
+// Newest first; kept after the task itself is deleted
+async function activity(projectId, { taskId, limit = 100 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM task_activity WHERE project_id = $1 AND ($2::varchar IS NULL OR task_id = $2)
+     ORDER BY created_at DESC LIMIT $3`,
+    [projectId, taskId || null, Math.min(Math.max(Number(limit) || 100, 1), 500)]
+  );
+  return result.rows;
+}
+
+module.exports = {
+  DEFAULT_STAGES,
+  parseStages,
+  stagesFor,
+  portalStages,
+  stagesInUse,
+  record,
+  createTask,
+  moveTask,
+  recordEdit,
+  deleteTask,
+  activity
+};
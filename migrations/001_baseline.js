@@ -0,0 +1,266 @@
+// Baseline: the schema as initDb() created it. Every statement is idempotent, so a
+// database created before migrations existed is adopted as-is, old columns and all.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id VARCHAR(12) PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255),
+        password_hash TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS portals (
+        id VARCHAR(12) PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        subdomain VARCHAR(50) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        logo_url TEXT,
+        accent_color VARCHAR(7) DEFAULT '#6366f1',
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS clients (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        access_token VARCHAR(64) UNIQUE NOT NULL,
+        last_seen_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(portal_id, email)
+      );
+
+      CREATE TABLE IF NOT EXISTS projects (
+        id VARCHAR(12) PRIMARY KEY,
+        client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        status VARCHAR(20) DEFAULT 'active',
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS tasks (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        title VARCHAR(255) NOT NULL,
+        description TEXT,
+        stage VARCHAR(20) DEFAULT 'backlog',
+        position INT DEFAULT 0,
+        due_date DATE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS updates (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        author_type VARCHAR(10) NOT NULL,
+        author_id TEXT NOT NULL,
+        content TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS files (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        update_id VARCHAR(12) REFERENCES updates(id),
+        name VARCHAR(255) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size BIGINT,
+        mime_type VARCHAR(100),
+        uploaded_by TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS file_downloads (
+        id VARCHAR(12) PRIMARY KEY,
+        file_id VARCHAR(12) REFERENCES files(id) ON DELETE CASCADE,
+        client_id VARCHAR(12) REFERENCES clients(id),
+        ip_address VARCHAR(45),
+        downloaded_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS client_views (
+        id VARCHAR(12) PRIMARY KEY,
+        client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
+        project_id VARCHAR(12) REFERENCES projects(id),
+        page VARCHAR(50),
+        viewed_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE clients ADD COLUMN IF NOT EXISTS token_expires_at TIMESTAMP;
+      ALTER TABLE clients ADD COLUMN IF NOT EXISTS token_revoked_at TIMESTAMP;
+      ALTER TABLE clients ADD COLUMN IF NOT EXISTS link_sent_at TIMESTAMP;
+
+      ALTER TABLE files ADD COLUMN IF NOT EXISTS current_version INT DEFAULT 1;
+
+      CREATE TABLE IF NOT EXISTS file_versions (
+        id VARCHAR(12) PRIMARY KEY,
+        file_id VARCHAR(12) REFERENCES files(id) ON DELETE CASCADE,
+        version INT NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        file_path TEXT NOT NULL,
+        file_size BIGINT,
+        mime_type VARCHAR(100),
+        uploaded_by TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(file_id, version)
+      );
+
+      -- Files uploaded before versioning become their own v1
+      INSERT INTO file_versions (id, file_id, version, name, file_path, file_size, mime_type, uploaded_by, created_at)
+      SELECT f.id, f.id, 1, f.name, f.file_path, f.file_size, f.mime_type, f.uploaded_by, f.created_at FROM files f
+      WHERE NOT EXISTS (SELECT 1 FROM file_versions v WHERE v.file_id = f.id);
+
+      ALTER TABLE file_downloads ADD COLUMN IF NOT EXISTS version_id VARCHAR(12) REFERENCES file_versions(id) ON DELETE SET NULL;
+      ALTER TABLE file_downloads ADD COLUMN IF NOT EXISTS version INT;
+      UPDATE file_downloads SET version_id = file_id, version = 1 WHERE version IS NULL;
+
+      CREATE TABLE IF NOT EXISTS storage_objects (
+        id VARCHAR(12) PRIMARY KEY,
+        driver VARCHAR(10) NOT NULL,
+        storage_key TEXT NOT NULL,
+        checksum VARCHAR(64),
+        size BIGINT,
+        mime_type VARCHAR(100),
+        portal_id VARCHAR(12),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE file_versions ADD COLUMN IF NOT EXISTS object_id VARCHAR(12) REFERENCES storage_objects(id);
+      ALTER TABLE portals ADD COLUMN IF NOT EXISTS storage_quota_bytes BIGINT;
+
+      -- Versions stored on local disk before the storage layer become local objects
+      INSERT INTO storage_objects (id, driver, storage_key, size, mime_type, portal_id, created_at)
+      SELECT v.id, 'local', v.file_path, v.file_size, v.mime_type, c.portal_id, v.created_at FROM file_versions v
+      JOIN files f ON v.file_id = f.id JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id
+      WHERE v.object_id IS NULL
+      ON CONFLICT (id) DO NOTHING;
+      UPDATE file_versions SET object_id = id WHERE object_id IS NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_storage_objects_checksum ON storage_objects(portal_id, checksum);
+
+      CREATE TABLE IF NOT EXISTS approvals (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        target_type VARCHAR(10) NOT NULL,
+        target_id VARCHAR(12) NOT NULL,
+        status VARCHAR(20) DEFAULT 'awaiting_approval',
+        note TEXT,
+        requested_by TEXT NOT NULL,
+        requested_at TIMESTAMP DEFAULT NOW(),
+        decided_at TIMESTAMP,
+        UNIQUE(target_type, target_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS approval_events (
+        id VARCHAR(12) PRIMARY KEY,
+        approval_id VARCHAR(12) REFERENCES approvals(id) ON DELETE CASCADE,
+        action VARCHAR(20) NOT NULL,
+        actor_type VARCHAR(10) NOT NULL,
+        actor_id TEXT NOT NULL,
+        actor_name VARCHAR(255),
+        actor_email VARCHAR(255),
+        comment TEXT,
+        ip_address VARCHAR(45),
+        user_agent TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS notification_settings (
+        portal_id VARCHAR(12) PRIMARY KEY REFERENCES portals(id) ON DELETE CASCADE,
+        email VARCHAR(255),
+        digest_hour INT DEFAULT 8,
+        events JSONB,
+        last_digest_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        event_type VARCHAR(30) NOT NULL,
+        client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        summary TEXT NOT NULL,
+        delivery VARCHAR(10) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        sent_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        secret VARCHAR(64) NOT NULL,
+        events JSONB NOT NULL,
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id VARCHAR(12) PRIMARY KEY,
+        webhook_id VARCHAR(12) REFERENCES webhooks(id) ON DELETE CASCADE,
+        event_type VARCHAR(30) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(10) DEFAULT 'pending',
+        attempts INT DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        last_status_code INT,
+        last_error TEXT,
+        response_body TEXT,
+        redelivery_of VARCHAR(12),
+        created_at TIMESTAMP DEFAULT NOW(),
+        delivered_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS update_reads (
+        update_id VARCHAR(12) REFERENCES updates(id) ON DELETE CASCADE,
+        client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
+        first_seen_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (update_id, client_id)
+      );
+
+      CREATE TABLE IF NOT EXISTS portal_domains (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        domain VARCHAR(253) UNIQUE NOT NULL,
+        verification_token VARCHAR(64) NOT NULL,
+        verified_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_clients_token ON clients(access_token);
+      CREATE INDEX IF NOT EXISTS idx_client_views_project ON client_views(project_id, viewed_at);
+      CREATE INDEX IF NOT EXISTS idx_file_downloads_file ON file_downloads(file_id, downloaded_at);
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+      CREATE INDEX IF NOT EXISTS idx_notifications_pending ON notifications(portal_id) WHERE sent_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_approvals_project ON approvals(project_id);
+      CREATE INDEX IF NOT EXISTS idx_portals_user ON portals(user_id);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE IF EXISTS portal_domains;
+      DROP TABLE IF EXISTS update_reads;
+      DROP TABLE IF EXISTS webhook_deliveries;
+      DROP TABLE IF EXISTS webhooks;
+      DROP TABLE IF EXISTS notifications;
+      DROP TABLE IF EXISTS notification_settings;
+      DROP TABLE IF EXISTS approval_events;
+      DROP TABLE IF EXISTS approvals;
+      DROP TABLE IF EXISTS file_downloads;
+      DROP TABLE IF EXISTS file_versions;
+      DROP TABLE IF EXISTS storage_objects;
+      DROP TABLE IF EXISTS client_views;
+      DROP TABLE IF EXISTS files;
+      DROP TABLE IF EXISTS updates;
+      DROP TABLE IF EXISTS tasks;
+      DROP TABLE IF EXISTS projects;
+      DROP TABLE IF EXISTS clients;
+      DROP TABLE IF EXISTS portals;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
@@ -0,0 +1,42 @@
+// Soft deletes for portals, clients, projects, updates and files. Uniqueness of
+// subdomains and client emails only applies to live rows, so a trashed portal or
+// client doesn't block reusing its name.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE portals ADD COLUMN deleted_at TIMESTAMP;
+      ALTER TABLE clients ADD COLUMN deleted_at TIMESTAMP;
+      ALTER TABLE projects ADD COLUMN deleted_at TIMESTAMP;
+      ALTER TABLE updates ADD COLUMN deleted_at TIMESTAMP;
+      ALTER TABLE updates ADD COLUMN edited_at TIMESTAMP;
+      ALTER TABLE files ADD COLUMN deleted_at TIMESTAMP;
+
+      ALTER TABLE portals DROP CONSTRAINT IF EXISTS portals_subdomain_key;
+      CREATE UNIQUE INDEX idx_portals_subdomain_live ON portals(subdomain) WHERE deleted_at IS NULL;
+      ALTER TABLE clients DROP CONSTRAINT IF EXISTS clients_portal_id_email_key;
+      CREATE UNIQUE INDEX idx_clients_email_live ON clients(portal_id, email) WHERE deleted_at IS NULL;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DELETE FROM files WHERE deleted_at IS NOT NULL;
+      DELETE FROM updates WHERE deleted_at IS NOT NULL;
+      DELETE FROM projects WHERE deleted_at IS NOT NULL;
+      DELETE FROM clients WHERE deleted_at IS NOT NULL;
+      DELETE FROM portals WHERE deleted_at IS NOT NULL;
+
+      DROP INDEX idx_clients_email_live;
+      ALTER TABLE clients ADD CONSTRAINT clients_portal_id_email_key UNIQUE (portal_id, email);
+      DROP INDEX idx_portals_subdomain_live;
+      ALTER TABLE portals ADD CONSTRAINT portals_subdomain_key UNIQUE (subdomain);
+
+      ALTER TABLE files DROP COLUMN deleted_at;
+      ALTER TABLE updates DROP COLUMN edited_at;
+      ALTER TABLE updates DROP COLUMN deleted_at;
+      ALTER TABLE projects DROP COLUMN deleted_at;
+      ALTER TABLE clients DROP COLUMN deleted_at;
+      ALTER TABLE portals DROP COLUMN deleted_at;
+    `);
+  }
+};
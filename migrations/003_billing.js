@@ -0,0 +1,69 @@
+// Quotes and invoices on projects. Drafts have no number; issuing one takes the
+// next number from the portal's sequence for that kind, so issued numbers never skip.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE billing_documents (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL,
+        number VARCHAR(30),
+        status VARCHAR(10) NOT NULL DEFAULT 'draft',
+        currency CHAR(3) NOT NULL DEFAULT 'EUR',
+        tax_rate NUMERIC(5, 2) NOT NULL DEFAULT 0,
+        subtotal_cents BIGINT NOT NULL DEFAULT 0,
+        tax_cents BIGINT NOT NULL DEFAULT 0,
+        total_cents BIGINT NOT NULL DEFAULT 0,
+        notes TEXT,
+        issue_date DATE,
+        due_date DATE,
+        created_by TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        accepted_at TIMESTAMP,
+        accepted_by VARCHAR(12) REFERENCES clients(id) ON DELETE SET NULL,
+        accepted_ip VARCHAR(45),
+        paid_at TIMESTAMP
+      );
+
+      CREATE TABLE billing_line_items (
+        id VARCHAR(12) PRIMARY KEY,
+        document_id VARCHAR(12) REFERENCES billing_documents(id) ON DELETE CASCADE,
+        position INT NOT NULL,
+        description TEXT NOT NULL,
+        quantity NUMERIC(12, 2) NOT NULL,
+        unit_price_cents BIGINT NOT NULL,
+        amount_cents BIGINT NOT NULL
+      );
+
+      CREATE TABLE billing_sequences (
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        kind VARCHAR(10) NOT NULL,
+        last_number INT NOT NULL DEFAULT 0,
+        PRIMARY KEY (portal_id, kind)
+      );
+
+      CREATE TABLE billing_document_views (
+        id VARCHAR(12) PRIMARY KEY,
+        document_id VARCHAR(12) REFERENCES billing_documents(id) ON DELETE CASCADE,
+        client_id VARCHAR(12) REFERENCES clients(id),
+        action VARCHAR(10) NOT NULL,
+        ip_address VARCHAR(45),
+        viewed_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_billing_documents_project ON billing_documents(project_id);
+      CREATE INDEX idx_billing_line_items_document ON billing_line_items(document_id, position);
+      CREATE INDEX idx_billing_document_views_document ON billing_document_views(document_id, viewed_at);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE billing_document_views;
+      DROP TABLE billing_sequences;
+      DROP TABLE billing_line_items;
+      DROP TABLE billing_documents;
+    `);
+  }
+};
@@ -0,0 +1,31 @@
+// Time entries on tasks. A running timer is an entry without ended_at; each user
+// has at most one. Portals choose whether clients see the time summary.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE time_entries (
+        id VARCHAR(12) PRIMARY KEY,
+        task_id VARCHAR(12) REFERENCES tasks(id) ON DELETE CASCADE,
+        user_id TEXT NOT NULL,
+        started_at TIMESTAMP NOT NULL,
+        ended_at TIMESTAMP,
+        duration_seconds INT,
+        note TEXT,
+        billable BOOLEAN NOT NULL DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_time_entries_task ON time_entries(task_id, started_at);
+      CREATE UNIQUE INDEX idx_time_entries_running ON time_entries(user_id) WHERE ended_at IS NULL;
+
+      ALTER TABLE portals ADD COLUMN show_time_to_clients BOOLEAN NOT NULL DEFAULT FALSE;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE portals DROP COLUMN show_time_to_clients;
+      DROP TABLE time_entries;
+    `);
+  }
+};
@@ -0,0 +1,77 @@
+// Client contacts: several people under one client, each with their own magic link
+// and a role. Every existing client becomes its own first contact under the same id,
+// so the views, downloads and replies recorded so far map onto that person.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE client_contacts (
+        id VARCHAR(12) PRIMARY KEY,
+        client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        role VARCHAR(10) NOT NULL DEFAULT 'viewer',
+        access_token VARCHAR(64) UNIQUE NOT NULL,
+        token_expires_at TIMESTAMP,
+        token_revoked_at TIMESTAMP,
+        link_sent_at TIMESTAMP,
+        last_seen_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        deleted_at TIMESTAMP
+      );
+
+      CREATE INDEX idx_client_contacts_client ON client_contacts(client_id);
+      CREATE UNIQUE INDEX idx_client_contacts_email_live ON client_contacts(client_id, email) WHERE deleted_at IS NULL;
+
+      INSERT INTO client_contacts (id, client_id, name, email, role, access_token, token_expires_at, token_revoked_at, link_sent_at, last_seen_at, created_at)
+      SELECT id, id, name, email, 'approver', access_token, token_expires_at, token_revoked_at, link_sent_at, last_seen_at, created_at FROM clients;
+
+      ALTER TABLE client_views ADD COLUMN contact_id VARCHAR(12) REFERENCES client_contacts(id) ON DELETE SET NULL;
+      ALTER TABLE file_downloads ADD COLUMN contact_id VARCHAR(12) REFERENCES client_contacts(id) ON DELETE SET NULL;
+      ALTER TABLE updates ADD COLUMN contact_id VARCHAR(12) REFERENCES client_contacts(id) ON DELETE SET NULL;
+      ALTER TABLE billing_document_views ADD COLUMN contact_id VARCHAR(12) REFERENCES client_contacts(id) ON DELETE SET NULL;
+      ALTER TABLE billing_documents ADD COLUMN accepted_contact_id VARCHAR(12) REFERENCES client_contacts(id) ON DELETE SET NULL;
+
+      UPDATE client_views SET contact_id = client_id;
+      UPDATE file_downloads SET contact_id = client_id;
+      UPDATE updates SET contact_id = author_id WHERE author_type = 'client';
+      UPDATE billing_document_views SET contact_id = client_id;
+      UPDATE billing_documents SET accepted_contact_id = accepted_by;
+
+      CREATE INDEX idx_client_views_contact ON client_views(contact_id);
+      CREATE INDEX idx_file_downloads_contact ON file_downloads(contact_id);
+
+      ALTER TABLE clients DROP COLUMN access_token;
+      ALTER TABLE clients DROP COLUMN token_expires_at;
+      ALTER TABLE clients DROP COLUMN token_revoked_at;
+      ALTER TABLE clients DROP COLUMN link_sent_at;
+    `);
+  },
+
+  // Each client gets back the link of its oldest live contact
+  async down(db) {
+    await db.query(`
+      ALTER TABLE clients ADD COLUMN access_token VARCHAR(64);
+      ALTER TABLE clients ADD COLUMN token_expires_at TIMESTAMP;
+      ALTER TABLE clients ADD COLUMN token_revoked_at TIMESTAMP;
+      ALTER TABLE clients ADD COLUMN link_sent_at TIMESTAMP;
+
+      UPDATE clients c SET access_token = ct.access_token, token_expires_at = ct.token_expires_at,
+                           token_revoked_at = ct.token_revoked_at, link_sent_at = ct.link_sent_at
+      FROM (
+        SELECT DISTINCT ON (client_id) * FROM client_contacts WHERE deleted_at IS NULL ORDER BY client_id, created_at
+      ) ct WHERE ct.client_id = c.id;
+      UPDATE clients SET access_token = md5(random()::text) || md5(random()::text), token_revoked_at = NOW()
+      WHERE access_token IS NULL;
+
+      ALTER TABLE clients ALTER COLUMN access_token SET NOT NULL;
+      ALTER TABLE clients ADD CONSTRAINT clients_access_token_key UNIQUE (access_token);
+
+      ALTER TABLE billing_documents DROP COLUMN accepted_contact_id;
+      ALTER TABLE billing_document_views DROP COLUMN contact_id;
+      ALTER TABLE updates DROP COLUMN contact_id;
+      ALTER TABLE file_downloads DROP COLUMN contact_id;
+      ALTER TABLE client_views DROP COLUMN contact_id;
+      DROP TABLE client_contacts;
+    `);
+  }
+};
@@ -0,0 +1,52 @@
+// Threaded comments on tasks, files and updates. Edits keep the previous body as a
+// revision; attachments are ordinary project files that point back at their comment.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE comments (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        target_type VARCHAR(10) NOT NULL,
+        target_id VARCHAR(12) NOT NULL,
+        parent_id VARCHAR(12) REFERENCES comments(id) ON DELETE CASCADE,
+        author_type VARCHAR(10) NOT NULL,
+        author_id TEXT NOT NULL,
+        author_name VARCHAR(255),
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        edited_at TIMESTAMP,
+        deleted_at TIMESTAMP
+      );
+
+      CREATE TABLE comment_revisions (
+        id VARCHAR(12) PRIMARY KEY,
+        comment_id VARCHAR(12) REFERENCES comments(id) ON DELETE CASCADE,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP NOT NULL
+      );
+
+      CREATE TABLE comment_mentions (
+        comment_id VARCHAR(12) REFERENCES comments(id) ON DELETE CASCADE,
+        mention_type VARCHAR(10) NOT NULL,
+        mention_id TEXT NOT NULL,
+        PRIMARY KEY (comment_id, mention_type, mention_id)
+      );
+
+      ALTER TABLE files ADD COLUMN comment_id VARCHAR(12) REFERENCES comments(id) ON DELETE SET NULL;
+
+      CREATE INDEX idx_comments_project ON comments(project_id, created_at);
+      CREATE INDEX idx_comments_target ON comments(target_type, target_id);
+      CREATE INDEX idx_comment_revisions_comment ON comment_revisions(comment_id, created_at);
+      CREATE INDEX idx_files_comment ON files(comment_id);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE files DROP COLUMN comment_id;
+      DROP TABLE comment_mentions;
+      DROP TABLE comment_revisions;
+      DROP TABLE comments;
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+// Kanban workflows: stage lists per portal or project (NULL falls back to the portal, then
+// the built-in four), internal tasks the client doesn't see, and a log of task changes.
+// Positions are renumbered 0..n-1 per column so moves can splice into them.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE portals ADD COLUMN task_stages JSONB;
+      ALTER TABLE projects ADD COLUMN task_stages JSONB;
+      ALTER TABLE tasks ADD COLUMN client_visible BOOLEAN NOT NULL DEFAULT TRUE;
+
+      UPDATE tasks t SET position = ranked.position
+      FROM (
+        SELECT id, ROW_NUMBER() OVER (PARTITION BY project_id, stage ORDER BY position, created_at) - 1 as position FROM tasks
+      ) ranked WHERE ranked.id = t.id;
+
+      CREATE TABLE task_activity (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        task_id VARCHAR(12) NOT NULL,
+        task_title VARCHAR(255),
+        actor_type VARCHAR(10) NOT NULL,
+        actor_id TEXT NOT NULL,
+        actor_name VARCHAR(255),
+        action VARCHAR(20) NOT NULL,
+        from_stage VARCHAR(20),
+        to_stage VARCHAR(20),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX idx_tasks_column ON tasks(project_id, stage, position);
+      CREATE INDEX idx_task_activity_project ON task_activity(project_id, created_at);
+      CREATE INDEX idx_task_activity_task ON task_activity(task_id, created_at);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE task_activity;
+      DROP INDEX idx_tasks_column;
+      ALTER TABLE tasks DROP COLUMN client_visible;
+      ALTER TABLE projects DROP COLUMN task_stages;
+      ALTER TABLE portals DROP COLUMN task_stages;
+    `);
+  }
+};
@@ -0,0 +1,46 @@
+// Project templates per portal (tasks with due dates relative to kickoff, a starter update,
+// file slots and optionally their own stages), and file slots on projects: named
+// placeholders that an upload fills.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE project_templates (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        task_stages JSONB,
+        tasks JSONB NOT NULL DEFAULT '[]',
+        starter_update TEXT,
+        file_slots JSONB NOT NULL DEFAULT '[]',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE project_file_slots (
+        id VARCHAR(12) PRIMARY KEY,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        name VARCHAR(255) NOT NULL,
+        description TEXT,
+        position INT NOT NULL DEFAULT 0,
+        file_id VARCHAR(12) REFERENCES files(id) ON DELETE SET NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE projects ADD COLUMN template_id VARCHAR(12) REFERENCES project_templates(id) ON DELETE SET NULL;
+      ALTER TABLE projects ADD COLUMN kickoff_date DATE;
+
+      CREATE INDEX idx_project_templates_portal ON project_templates(portal_id);
+      CREATE INDEX idx_project_file_slots_project ON project_file_slots(project_id, position);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE projects DROP COLUMN kickoff_date;
+      ALTER TABLE projects DROP COLUMN template_id;
+      DROP TABLE project_file_slots;
+      DROP TABLE project_templates;
+    `);
+  }
+};
@@ -0,0 +1,27 @@
+// Full-text search: GIN expression indexes over the searchable text, so rows need no extra
+// column. lib/search.js queries with the very same expressions, which is what lets
+// Postgres use these indexes - change them together. English stemming ("colors" finds "color");
+// file names are split on . _ - so "brand_colors-v2.pdf" is found by its words.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE INDEX idx_projects_search ON projects
+        USING GIN (to_tsvector('english', coalesce(name, '') || ' ' || coalesce(description, '')));
+      CREATE INDEX idx_tasks_search ON tasks
+        USING GIN (to_tsvector('english', coalesce(title, '') || ' ' || coalesce(description, '')));
+      CREATE INDEX idx_updates_search ON updates
+        USING GIN (to_tsvector('english', content));
+      CREATE INDEX idx_files_search ON files
+        USING GIN (to_tsvector('english', translate(name, '._-', '   ')));
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP INDEX idx_files_search;
+      DROP INDEX idx_updates_search;
+      DROP INDEX idx_tasks_search;
+      DROP INDEX idx_projects_search;
+    `);
+  }
+};
@@ -0,0 +1,57 @@
+// Scheduled jobs per portal (due reminders, overdue summaries, unviewed file nudges, scheduled
+// updates), their run history, and what each job already sent so a rerun doesn't send it again.
+// Workers claim due jobs by leasing them (locked_until), so instances never run one twice at once.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE jobs (
+        id VARCHAR(12) PRIMARY KEY,
+        portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
+        project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
+        type VARCHAR(30) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        config JSONB NOT NULL DEFAULT '{}',
+        run_at TIMESTAMP NOT NULL,
+        every_minutes INT,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        locked_until TIMESTAMP,
+        locked_by VARCHAR(100),
+        last_run_at TIMESTAMP,
+        last_status VARCHAR(20),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE TABLE job_runs (
+        id VARCHAR(12) PRIMARY KEY,
+        job_id VARCHAR(12) REFERENCES jobs(id) ON DELETE CASCADE,
+        trigger VARCHAR(10) NOT NULL,
+        status VARCHAR(20) NOT NULL,
+        instance VARCHAR(100),
+        result JSONB,
+        error TEXT,
+        started_at TIMESTAMP DEFAULT NOW(),
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE job_deliveries (
+        job_id VARCHAR(12) REFERENCES jobs(id) ON DELETE CASCADE,
+        key VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (job_id, key)
+      );
+
+      CREATE INDEX idx_jobs_due ON jobs(run_at) WHERE active;
+      CREATE INDEX idx_jobs_portal ON jobs(portal_id);
+      CREATE INDEX idx_job_runs_job ON job_runs(job_id, started_at);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      DROP TABLE job_deliveries;
+      DROP TABLE job_runs;
+      DROP TABLE jobs;
+    `);
+  }
+};
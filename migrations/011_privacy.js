@@ -0,0 +1,30 @@
+// Audit log of exports, imports and erasures - kept without foreign keys so entries outlive
+// the portals and clients they are about, and holding ids and counts only, never personal data.
+// Erased clients stay as an anonymous placeholder so their projects and invoices can be kept.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      CREATE TABLE audit_log (
+        id VARCHAR(12) PRIMARY KEY,
+        user_id VARCHAR(12),
+        portal_id VARCHAR(12),
+        action VARCHAR(30) NOT NULL,
+        subject_type VARCHAR(20) NOT NULL,
+        subject_id VARCHAR(12) NOT NULL,
+        details JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      ALTER TABLE clients ADD COLUMN erased_at TIMESTAMP;
+
+      CREATE INDEX idx_audit_log_user ON audit_log(user_id, created_at);
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE clients DROP COLUMN erased_at;
+      DROP TABLE audit_log;
+    `);
+  }
+};
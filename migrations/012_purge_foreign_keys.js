@@ -0,0 +1,23 @@
+// Purging a project or an update from the trash was blocked by rows pointing at it without an
+// ON DELETE action: views of the project go with it, files posted with an update stay in the project.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE client_views DROP CONSTRAINT client_views_project_id_fkey;
+      ALTER TABLE client_views ADD CONSTRAINT client_views_project_id_fkey
+        FOREIGN KEY (project_id) REFERENCES projects(id) ON DELETE CASCADE;
+      ALTER TABLE files DROP CONSTRAINT files_update_id_fkey;
+      ALTER TABLE files ADD CONSTRAINT files_update_id_fkey
+        FOREIGN KEY (update_id) REFERENCES updates(id) ON DELETE SET NULL;
+    `);
+  },
+
+  async down(db) {
+    await db.query(`
+      ALTER TABLE files DROP CONSTRAINT files_update_id_fkey;
+      ALTER TABLE files ADD CONSTRAINT files_update_id_fkey FOREIGN KEY (update_id) REFERENCES updates(id);
+      ALTER TABLE client_views DROP CONSTRAINT client_views_project_id_fkey;
+      ALTER TABLE client_views ADD CONSTRAINT client_views_project_id_fkey FOREIGN KEY (project_id) REFERENCES projects(id);
+    `);
+  }
+};
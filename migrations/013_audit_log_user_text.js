@@ -0,0 +1,10 @@
+// User ids are TEXT everywhere else - SSO subjects are longer than 12 characters
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE audit_log ALTER COLUMN user_id TYPE TEXT');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE audit_log ALTER COLUMN user_id TYPE VARCHAR(12)');
+  }
+};
@@ -0,0 +1,24 @@
+// Only verified domains are unique: anyone may claim a domain, the claim that proves it through
+// DNS wins and the others are dropped, so an unverified claim can't block the real owner.
+module.exports = {
+  async up(db) {
+    await db.query(`
+      ALTER TABLE portal_domains DROP CONSTRAINT portal_domains_domain_key;
+      CREATE UNIQUE INDEX idx_portal_domains_verified ON portal_domains(domain) WHERE verified_at IS NOT NULL;
+      CREATE UNIQUE INDEX idx_portal_domains_portal ON portal_domains(portal_id, domain);
+    `);
+  },
+
+  // Unverified claims of a domain somebody verified can't survive the old constraint
+  async down(db) {
+    await db.query(`
+      DELETE FROM portal_domains d WHERE d.verified_at IS NULL AND EXISTS (
+        SELECT 1 FROM portal_domains o WHERE o.domain = d.domain AND o.id <> d.id
+          AND (o.verified_at IS NOT NULL OR o.created_at < d.created_at OR (o.created_at = d.created_at AND o.id < d.id))
+      );
+      DROP INDEX idx_portal_domains_portal;
+      DROP INDEX idx_portal_domains_verified;
+      ALTER TABLE portal_domains ADD CONSTRAINT portal_domains_domain_key UNIQUE (domain);
+    `);
+  }
+};
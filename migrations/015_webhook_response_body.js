@@ -0,0 +1,11 @@
+// Webhook deliveries keep the receiver's status code and a short error only; response bodies
+// could carry whatever the target returned and are no longer stored.
+module.exports = {
+  async up(db) {
+    await db.query('ALTER TABLE webhook_deliveries DROP COLUMN response_body');
+  },
+
+  async down(db) {
+    await db.query('ALTER TABLE webhook_deliveries ADD COLUMN response_body TEXT');
+  }
+};
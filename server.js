@@ -1,174 +1,191 @@
 const express = require('express');
-const { Pool } = require('pg');
 const { nanoid } = require('nanoid');
 const cors = require('cors');
+const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const multer = require('multer');
-const fs = require('fs');
 const cookieParser = require('cookie-parser');
+const pool = require('./lib/db');
+const auth = require('./lib/auth');
+const mailer = require('./lib/mailer');
+const notifications = require('./lib/notifications');
+const webhooks = require('./lib/webhooks');
+const outbound = require('./lib/outbound');
+const realtime = require('./lib/realtime');
+const analytics = require('./lib/analytics');
+const domains = require('./lib/domains');
+const storage = require('./lib/storage');
+const migrate = require('./lib/migrate');
+const trash = require('./lib/trash');
+const billing = require('./lib/billing');
+const timetracking = require('./lib/timetracking');
+const comments = require('./lib/comments');
+const workflows = require('./lib/workflows');
+const templates = require('./lib/templates');
+const search = require('./lib/search');
+const jobs = require('./lib/jobs');
+const backup = require('./lib/backup');
+const privacy = require('./lib/privacy');
+const { escapeHtml } = require('./lib/html');
+const { requireAuth } = auth;
+
+const TOKEN_TTL_DAYS = parseInt(process.env.TOKEN_TTL_DAYS || '30', 10);
 
 const app = express();
 app.use(cors());
 app.use(express.json());
 app.use(cookieParser());
+app.use(domains.resolvePortalHost);
 
-// File upload config
+// File upload config (streamed straight into the storage driver)
 const upload = multer({ 
-  dest: '/data/uploads/',
-  limits: { fileSize: 50 * 1024 * 1024 } // 50MB
+  storage: storage.multerStorage(),
+  limits: { fileSize: parseInt(process.env.MAX_UPLOAD_MB || '50', 10) * 1024 * 1024 } // 50MB default
 });
 
-// Ensure upload dir exists
-if (!fs.existsSync('/data/uploads')) {
-  fs.mkdirSync('/data/uploads', { recursive: true });
+// Client auth middleware (magic link - each contact of a client has their own).
+// Sets req.client to the client company and req.contact to the person.
+function clientAuth(req, res, next) {
+  const token = req.query.token || req.headers['x-client-token'];
+  if (!token) return res.status(401).json({ error: 'No access token', code: 'TOKEN_MISSING' });
+  
+  // Trashed contacts, trashed clients and clients of trashed portals are treated like unknown tokens
+  pool.query(
+    `SELECT ct.*, row_to_json(c) as client FROM client_contacts ct 
+     JOIN clients c ON ct.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE ct.access_token = $1 AND ct.deleted_at IS NULL AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
+    [token]
+  )
+    .then(result => {
+      if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token', code: 'TOKEN_INVALID' });
+      const { client, ...contact } = result.rows[0];
+      if (contact.token_revoked_at) return res.status(401).json({ error: 'Access revoked', code: 'TOKEN_REVOKED' });
+      if (contact.token_expires_at && new Date(contact.token_expires_at) < new Date()) {
+        return res.status(401).json({ error: 'Link expired', code: 'TOKEN_EXPIRED' });
+      }
+      // On a portal's own host, only that portal's clients get in
+      if (req.portal && req.portal.id !== client.portal_id) {
+        return res.status(401).json({ error: 'Link belongs to another portal', code: 'TOKEN_WRONG_PORTAL' });
+      }
+      req.client = client;
+      req.contact = contact;
+      pool.query('UPDATE client_contacts SET last_seen_at = NOW() WHERE id = $1', [contact.id]);
+      pool.query('UPDATE clients SET last_seen_at = NOW() WHERE id = $1', [client.id]);
+      next();
+    })
+    .catch(() => res.status(500).json({ error: 'Auth failed' }));
 }
 
-// Database
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL || 'postgresql://postgres:postgres@db:5432/handoff'
-});
+// Weakest first: viewers read and download, commenters also reply, approvers also sign off and accept quotes
+const CONTACT_ROLES = ['viewer', 'commenter', 'approver'];
 
-// SSO Auth middleware - validates session against auth.jdms.nl
-async function requireAuth(req, res, next) {
-  const sessionToken = req.cookies['__Secure-next-auth.session-token'] || 
-                       req.cookies['next-auth.session-token'];
-  
-  if (!sessionToken) {
-    // For API calls, return 401
-    if (req.path.startsWith('/api/')) {
-      return res.status(401).json({ error: 'Not authenticated' });
+// Portal actions that need at least the given role (use after clientAuth)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (CONTACT_ROLES.indexOf(req.contact.role) < CONTACT_ROLES.indexOf(role)) {
+      return res.status(403).json({ error: 'Your role does not allow this', code: 'ROLE_FORBIDDEN' });
     }
-    // For page requests, redirect to auth
-    const callbackUrl = encodeURIComponent(`https://handoff.jdms.nl${req.originalUrl}`);
-    return res.redirect(`https://auth.jdms.nl/login?callbackUrl=${callbackUrl}`);
-  }
+    next();
+  };
+}
 
-  try {
-    const response = await fetch('https://auth.jdms.nl/api/validate', {
-      headers: { Cookie: `__Secure-next-auth.session-token=${sessionToken}` }
-    });
-    const data = await response.json();
+// "Jane (Acme)" in notification summaries, just "Acme" when the contact is the company itself
+function actorName(req) {
+  return req.contact.name === req.client.name ? req.client.name : `${req.contact.name} (${req.client.name})`;
+}
 
-    if (data.valid) {
-      req.user = data.user;
-      return next();
-    }
-  } catch (error) {
-    console.error('Auth validation error:', error.message);
-  }
+function tokenExpiry() {
+  return new Date(Date.now() + TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
 
-  if (req.path.startsWith('/api/')) {
-    return res.status(401).json({ error: 'Invalid session' });
-  }
-  const callbackUrl = encodeURIComponent(`https://handoff.jdms.nl${req.originalUrl}`);
-  res.redirect(`https://auth.jdms.nl/login?callbackUrl=${callbackUrl}`);
+function isTokenUsable(contact) {
+  return !contact.token_revoked_at && (!contact.token_expires_at || new Date(contact.token_expires_at) > new Date());
 }
 
-// Client auth middleware (magic link - kept for client portal access)
-function clientAuth(req, res, next) {
-  const token = req.query.token || req.headers['x-client-token'];
-  if (!token) return res.status(401).json({ error: 'No access token' });
-  
-  pool.query('SELECT * FROM clients WHERE access_token = $1', [token])
-    .then(result => {
-      if (result.rows.length === 0) return res.status(401).json({ error: 'Invalid token' });
-      req.client = result.rows[0];
-      pool.query('UPDATE clients SET last_seen_at = NOW() WHERE id = $1', [req.client.id]);
-      next();
-    })
-    .catch(() => res.status(500).json({ error: 'Auth failed' }));
+async function createContact(clientId, { name, email, role }, db = pool) {
+  const result = await db.query(
+    `INSERT INTO client_contacts (id, client_id, name, email, role, access_token, token_expires_at) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [nanoid(12), clientId, name, email, role, nanoid(64), tokenExpiry()]
+  );
+  return result.rows[0];
 }
 
-// Initialize database
-async function initDb() {
-  await pool.query(`
-    CREATE TABLE IF NOT EXISTS portals (
-      id VARCHAR(12) PRIMARY KEY,
-      user_id TEXT NOT NULL,
-      subdomain VARCHAR(50) UNIQUE NOT NULL,
-      name VARCHAR(255) NOT NULL,
-      logo_url TEXT,
-      accent_color VARCHAR(7) DEFAULT '#6366f1',
-      created_at TIMESTAMP DEFAULT NOW()
-    );
+// Issue a fresh magic link token (old one stops working immediately)
+async function rotateContactToken(contactId) {
+  const accessToken = nanoid(64);
+  const result = await pool.query(
+    `UPDATE client_contacts SET access_token = $1, token_expires_at = $2, token_revoked_at = NULL
+     WHERE id = $3 RETURNING *`,
+    [accessToken, tokenExpiry(), contactId]
+  );
+  return result.rows[0];
+}
 
-    CREATE TABLE IF NOT EXISTS clients (
-      id VARCHAR(12) PRIMARY KEY,
-      portal_id VARCHAR(12) REFERENCES portals(id) ON DELETE CASCADE,
-      name VARCHAR(255) NOT NULL,
-      email VARCHAR(255) NOT NULL,
-      access_token VARCHAR(64) UNIQUE NOT NULL,
-      last_seen_at TIMESTAMP,
-      created_at TIMESTAMP DEFAULT NOW(),
-      UNIQUE(portal_id, email)
-    );
+// Email a contact their magic link (contact.portal_id picks the portal's host)
+async function sendPortalLink(contact, portalName) {
+  const url = `${await domains.portalBaseUrl(contact.portal_id)}/portal?token=${contact.access_token}`;
+  await mailer.sendMail({
+    to: contact.email,
+    subject: `Your ${portalName} client portal`,
+    text: `Hi ${contact.name},\n\n${portalName} shared a client portal with you. Open it here:\n\n${url}\n\n` +
+          (contact.token_expires_at ? `This link expires on ${new Date(contact.token_expires_at).toDateString()}.\n` : ''),
+    html: `<p>Hi ${escapeHtml(contact.name)},</p>
+           <p>${escapeHtml(portalName)} shared a client portal with you.</p>
+           <p><a href="${url}">Open your portal</a></p>` +
+          (contact.token_expires_at ? `<p style="color:#6b7280">This link expires on ${new Date(contact.token_expires_at).toDateString()}.</p>` : '')
+  });
+  await pool.query('UPDATE client_contacts SET link_sent_at = NOW() WHERE id = $1', [contact.id]);
+}
 
-    CREATE TABLE IF NOT EXISTS projects (
-      id VARCHAR(12) PRIMARY KEY,
-      client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
-      name VARCHAR(255) NOT NULL,
-      description TEXT,
-      status VARCHAR(20) DEFAULT 'active',
-      created_at TIMESTAMP DEFAULT NOW()
-    );
 
-    CREATE TABLE IF NOT EXISTS tasks (
-      id VARCHAR(12) PRIMARY KEY,
-      project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
-      title VARCHAR(255) NOT NULL,
-      description TEXT,
-      stage VARCHAR(20) DEFAULT 'backlog',
-      position INT DEFAULT 0,
-      due_date DATE,
-      created_at TIMESTAMP DEFAULT NOW()
-    );
+// ==================== AUTH ROUTES ====================
 
-    CREATE TABLE IF NOT EXISTS updates (
-      id VARCHAR(12) PRIMARY KEY,
-      project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
-      author_type VARCHAR(10) NOT NULL,
-      author_id TEXT NOT NULL,
-      content TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW()
-    );
+// Local accounts only - SSO users register with the auth service
+function requireLocalAuth(req, res, next) {
+  if (auth.provider.name !== 'local') return res.status(404).json({ error: 'Local accounts are disabled' });
+  next();
+}
 
-    CREATE TABLE IF NOT EXISTS files (
-      id VARCHAR(12) PRIMARY KEY,
-      project_id VARCHAR(12) REFERENCES projects(id) ON DELETE CASCADE,
-      update_id VARCHAR(12) REFERENCES updates(id),
-      name VARCHAR(255) NOT NULL,
-      file_path TEXT NOT NULL,
-      file_size BIGINT,
-      mime_type VARCHAR(100),
-      uploaded_by TEXT NOT NULL,
-      created_at TIMESTAMP DEFAULT NOW()
-    );
+app.post('/api/auth/register', requireLocalAuth, async (req, res) => {
+  if (process.env.ALLOW_REGISTRATION === 'false') return res.status(403).json({ error: 'Registration is closed' });
 
-    CREATE TABLE IF NOT EXISTS file_downloads (
-      id VARCHAR(12) PRIMARY KEY,
-      file_id VARCHAR(12) REFERENCES files(id) ON DELETE CASCADE,
-      client_id VARCHAR(12) REFERENCES clients(id),
-      ip_address VARCHAR(45),
-      downloaded_at TIMESTAMP DEFAULT NOW()
-    );
+  const { email, password, name } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
+  if (password.length < 8) return res.status(400).json({ error: 'Password must be at least 8 characters' });
 
-    CREATE TABLE IF NOT EXISTS client_views (
-      id VARCHAR(12) PRIMARY KEY,
-      client_id VARCHAR(12) REFERENCES clients(id) ON DELETE CASCADE,
-      project_id VARCHAR(12) REFERENCES projects(id),
-      page VARCHAR(50),
-      viewed_at TIMESTAMP DEFAULT NOW()
-    );
+  try {
+    const user = await auth.provider.createUser({ email, password, name });
+    auth.provider.issueSession(res, user);
+    res.json(user);
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Email already registered' });
+    res.status(500).json({ error: 'Failed to register' });
+  }
+});
 
-    CREATE INDEX IF NOT EXISTS idx_clients_token ON clients(access_token);
-    CREATE INDEX IF NOT EXISTS idx_portals_user ON portals(user_id);
-  `);
-  console.log('Database initialized');
-}
+app.post('/api/auth/login', requireLocalAuth, async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'Email and password required' });
 
-// ==================== AUTH ROUTES ====================
+  try {
+    const user = await auth.provider.verifyCredentials(email, password);
+    if (!user) return res.status(401).json({ error: 'Invalid email or password' });
+    auth.provider.issueSession(res, user);
+    res.json(user);
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to login' });
+  }
+});
+
+// Logout (clears a local session, tells the dashboard where to go next)
+app.post('/api/auth/logout', (req, res) => {
+  if (auth.provider.clearSession) auth.provider.clearSession(res);
+  res.json({ redirectUrl: auth.provider.logoutUrl() });
+});
 
-// Get current user (from SSO)
+// Get current user (from the active auth provider)
 app.get('/api/auth/me', requireAuth, async (req, res) => {
   res.json(req.user);
 });
@@ -185,6 +202,7 @@ app.post('/api/portals', requireAuth, async (req, res) => {
       'INSERT INTO portals (id, user_id, subdomain, name, logo_url, accent_color) VALUES ($1, $2, $3, $4, $5, $6)',
       [id, req.user.id, subdomain, name, logo_url, accent_color || '#6366f1']
     );
+    if (req.user.email) await notifications.saveSettings(id, { email: req.user.email });
     
     res.json({ id, subdomain });
   } catch (e) {
@@ -197,304 +215,2152 @@ app.post('/api/portals', requireAuth, async (req, res) => {
 app.get('/api/portals', requireAuth, async (req, res) => {
   const result = await pool.query(
     `SELECT p.*, COUNT(c.id) as client_count 
-     FROM portals p LEFT JOIN clients c ON p.id = c.portal_id 
-     WHERE p.user_id = $1 GROUP BY p.id ORDER BY p.created_at DESC`,
+     FROM portals p LEFT JOIN clients c ON p.id = c.portal_id AND c.deleted_at IS NULL
+     WHERE p.user_id = $1 AND p.deleted_at IS NULL GROUP BY p.id ORDER BY p.created_at DESC`,
     [req.user.id]
   );
   res.json(result.rows);
 });
 
+// Update portal (name, subdomain, branding, time sharing)
+app.patch('/api/portals/:portalId', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name, subdomain, logo_url, accent_color, show_time_to_clients, task_stages } = req.body;
+  const updates = [];
+  const values = [];
+  let i = 1;
+
+  // null goes back to the default stages; stages still holding tasks can't be dropped
+  if (task_stages !== undefined) {
+    const { stages, error } = task_stages === null ? { stages: null } : workflows.parseStages(task_stages);
+    if (error) return res.status(400).json({ error });
+    const inUse = await workflows.stagesInUse({ portalId: req.params.portalId }, (stages || workflows.DEFAULT_STAGES).map(s => s.key));
+    if (inUse.length > 0) return res.status(409).json({ error: `Move the tasks out of ${inUse.join(', ')} first`, stages_in_use: inUse });
+    updates.push(`task_stages = $${i++}`);
+    values.push(stages && JSON.stringify(stages));
+  }
+  if (name !== undefined) { updates.push(`name = $${i++}`); values.push(name); }
+  if (subdomain !== undefined) { updates.push(`subdomain = $${i++}`); values.push(subdomain); }
+  if (logo_url !== undefined) { updates.push(`logo_url = $${i++}`); values.push(logo_url || null); }
+  if (accent_color !== undefined) { updates.push(`accent_color = $${i++}`); values.push(accent_color || '#6366f1'); }
+  if (show_time_to_clients !== undefined) { updates.push(`show_time_to_clients = $${i++}`); values.push(show_time_to_clients === true); }
+
+  if (updates.length === 0) return res.status(400).json({ error: 'No changes' });
+  values.push(req.params.portalId);
+
+  try {
+    const result = await pool.query(`UPDATE portals SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+    domains.clearCache();
+    res.json(result.rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Subdomain taken' });
+    res.status(500).json({ error: 'Failed to update portal' });
+  }
+});
+
+// Move portal to the trash (its clients lose access until it is restored)
+app.delete('/api/portals/:portalId', requireAuth, async (req, res) => {
+  const result = await pool.query(
+    'UPDATE portals SET deleted_at = NOW() WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL RETURNING id',
+    [req.params.portalId, req.user.id]
+  );
+  if (result.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  domains.clearCache();
+  res.json({ success: true });
+});
+
+// Public settings the dashboard needs before any portal exists
+app.get('/api/config', (req, res) => {
+  res.json({ baseDomain: domains.BASE_DOMAIN || null, authProvider: auth.provider.name });
+});
+
+// Branding for the portal page - from the host, else from the client's token (public)
+app.get('/api/portal/branding', async (req, res) => {
+  if (req.portal) return res.json(req.portal);
+
+  const token = req.query.token || req.headers['x-client-token'];
+  if (!token) return res.status(404).json({ error: 'Portal not found' });
+
+  const result = await pool.query(
+    `SELECT p.id, p.subdomain, p.name, p.logo_url, p.accent_color FROM portals p 
+     JOIN clients c ON c.portal_id = p.id JOIN client_contacts ct ON ct.client_id = c.id 
+     WHERE ct.access_token = $1 AND ct.deleted_at IS NULL AND c.deleted_at IS NULL AND p.deleted_at IS NULL`,
+    [token]
+  );
+  if (result.rows.length === 0) return res.status(404).json({ error: 'Portal not found' });
+  res.json(result.rows[0]);
+});
+
 // Get portal by subdomain (public for client access)
 app.get('/api/portals/by-subdomain/:subdomain', async (req, res) => {
   const result = await pool.query(
-    'SELECT id, subdomain, name, logo_url, accent_color FROM portals WHERE subdomain = $1',
+    'SELECT id, subdomain, name, logo_url, accent_color FROM portals WHERE subdomain = $1 AND deleted_at IS NULL',
     [req.params.subdomain]
   );
   if (result.rows.length === 0) return res.status(404).json({ error: 'Portal not found' });
   res.json(result.rows[0]);
 });
 
-// ==================== CLIENT ROUTES ====================
+// ==================== DOMAIN ROUTES ====================
 
-// Create client (verify portal ownership)
-app.post('/api/portals/:portalId/clients', requireAuth, async (req, res) => {
-  try {
-    // Verify user owns this portal
-    const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
-    if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+// Attach a custom domain (verified through a DNS TXT record)
+app.post('/api/portals/:portalId/domains', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-    const { name, email } = req.body;
-    const id = nanoid(12);
-    const accessToken = nanoid(64);
-    
-    await pool.query(
-      'INSERT INTO clients (id, portal_id, name, email, access_token) VALUES ($1, $2, $3, $4, $5)',
-      [id, req.params.portalId, name, email, accessToken]
+  const domain = domains.normalizeDomain(req.body.domain);
+  if (!domain) return res.status(400).json({ error: 'Invalid domain' });
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO portal_domains (id, portal_id, domain, verification_token) VALUES ($1, $2, $3, $4) RETURNING *',
+      [nanoid(12), req.params.portalId, domain, `handoff-verify=${nanoid(32)}`]
     );
-    
-    res.json({ id, accessToken, portalUrl: `/portal?token=${accessToken}` });
+    res.json({ ...result.rows[0], txt_record: `${domains.VERIFY_PREFIX}.${domain}` });
   } catch (e) {
-    res.status(500).json({ error: 'Failed to create client' });
+    if (e.code === '23505') return res.status(400).json({ error: 'Domain already added' });
+    res.status(500).json({ error: 'Failed to add domain' });
   }
 });
 
-// Get portal clients (verify ownership)
-app.get('/api/portals/:portalId/clients', requireAuth, async (req, res) => {
+app.get('/api/portals/:portalId/domains', requireAuth, async (req, res) => {
   const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
   if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const result = await pool.query(
-    `SELECT c.*, COUNT(p.id) as project_count 
-     FROM clients c LEFT JOIN projects p ON c.id = p.client_id 
-     WHERE c.portal_id = $1 GROUP BY c.id ORDER BY c.created_at DESC`,
-    [req.params.portalId]
-  );
-  res.json(result.rows);
+  const result = await pool.query('SELECT * FROM portal_domains WHERE portal_id = $1 ORDER BY created_at', [req.params.portalId]);
+  res.json(result.rows.map(d => ({ ...d, txt_record: `${domains.VERIFY_PREFIX}.${d.domain}` })));
 });
 
-// ==================== PROJECT ROUTES ====================
-
-// Create project (verify ownership chain)
-app.post('/api/clients/:clientId/projects', requireAuth, async (req, res) => {
-  // Verify ownership: user -> portal -> client
+app.post('/api/domains/:domainId/verify', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT c.id FROM clients c 
-     JOIN portals p ON c.portal_id = p.id 
-     WHERE c.id = $1 AND p.user_id = $2`,
-    [req.params.clientId, req.user.id]
+    'SELECT d.* FROM portal_domains d JOIN portals p ON d.portal_id = p.id WHERE d.id = $1 AND p.user_id = $2',
+    [req.params.domainId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const { name, description } = req.body;
-  const id = nanoid(12);
-  
-  await pool.query(
-    'INSERT INTO projects (id, client_id, name, description) VALUES ($1, $2, $3, $4)',
-    [id, req.params.clientId, name, description]
-  );
-  
-  res.json({ id });
+  const domain = check.rows[0];
+  const verified = await domains.checkVerification(domain.domain, domain.verification_token);
+  if (!verified) {
+    return res.status(400).json({ error: `TXT record ${domains.VERIFY_PREFIX}.${domain.domain} not found or doesn't match` });
+  }
+
+  // Proving the domain through DNS takes it over from every other claim
+  const db = await pool.connect();
+  let result;
+  try {
+    await db.query('BEGIN');
+    await db.query('DELETE FROM portal_domains WHERE domain = $1 AND id <> $2', [domain.domain, domain.id]);
+    result = await db.query('UPDATE portal_domains SET verified_at = NOW() WHERE id = $1 RETURNING *', [domain.id]);
+    await db.query('COMMIT');
+  } catch (e) {
+    await db.query('ROLLBACK');
+    console.error('Domain verification failed:', e.message);
+    return res.status(500).json({ error: 'Failed to verify domain' });
+  } finally {
+    db.release();
+  }
+  domains.clearCache();
+  res.json(result.rows[0]);
 });
 
-// Get client projects
-app.get('/api/clients/:clientId/projects', requireAuth, async (req, res) => {
+app.delete('/api/domains/:domainId', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT c.id FROM clients c JOIN portals p ON c.portal_id = p.id WHERE c.id = $1 AND p.user_id = $2`,
-    [req.params.clientId, req.user.id]
+    'SELECT d.id FROM portal_domains d JOIN portals p ON d.portal_id = p.id WHERE d.id = $1 AND p.user_id = $2',
+    [req.params.domainId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const result = await pool.query(
-    'SELECT * FROM projects WHERE client_id = $1 ORDER BY created_at DESC',
-    [req.params.clientId]
-  );
-  res.json(result.rows);
+  await pool.query('DELETE FROM portal_domains WHERE id = $1', [req.params.domainId]);
+  domains.clearCache();
+  res.json({ success: true });
 });
 
-// Get project with tasks
-app.get('/api/projects/:projectId', requireAuth, async (req, res) => {
-  const check = await pool.query(
-    `SELECT pr.* FROM projects pr 
-     JOIN clients c ON pr.client_id = c.id 
-     JOIN portals p ON c.portal_id = p.id 
-     WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
-  );
-  if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
-  
-  const tasks = await pool.query('SELECT * FROM tasks WHERE project_id = $1 ORDER BY position', [req.params.projectId]);
-  
-  res.json({ ...check.rows[0], tasks: tasks.rows });
+// Notification settings (per portal, per event type)
+app.get('/api/portals/:portalId/notifications', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const settings = await notifications.getSettings(req.params.portalId);
+  res.json({ ...settings, email: settings.email || req.user.email || null });
 });
 
-// ==================== TASK ROUTES ====================
+app.patch('/api/portals/:portalId/notifications', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-// Create task
-app.post('/api/projects/:projectId/tasks', requireAuth, async (req, res) => {
-  const check = await pool.query(
-    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
+  const { email, digest_hour, events } = req.body;
+  if (digest_hour !== undefined && !(Number.isInteger(digest_hour) && digest_hour >= 0 && digest_hour <= 23)) {
+    return res.status(400).json({ error: 'digest_hour must be 0-23' });
+  }
+  for (const [type, delivery] of Object.entries(events || {})) {
+    if (!notifications.EVENT_TYPES.includes(type)) return res.status(400).json({ error: `Unknown event type ${type}` });
+    if (!notifications.DELIVERY_MODES.includes(delivery)) return res.status(400).json({ error: `Invalid delivery ${delivery}` });
+  }
+
+  const settings = await notifications.saveSettings(req.params.portalId, { email, digest_hour, events });
+  res.json(settings);
+});
+
+// ==================== WEBHOOK ROUTES ====================
+
+async function validateWebhook({ url, events }) {
+  if (url !== undefined) {
+    const invalid = await outbound.checkUrl(url);
+    if (invalid) return invalid;
+  }
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) return 'Pick at least one event';
+    const unknown = events.find(e => !webhooks.EVENT_TYPES.includes(e));
+    if (unknown) return `Unknown event ${unknown}`;
+  }
+  return null;
+}
+
+app.post('/api/portals/:portalId/webhooks', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { url, events } = req.body;
+  if (!url || !events) return res.status(400).json({ error: 'url and events required' });
+  const invalid = await validateWebhook({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+
+  const result = await pool.query(
+    'INSERT INTO webhooks (id, portal_id, url, secret, events) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [nanoid(12), req.params.portalId, url, webhooks.generateSecret(), JSON.stringify(events)]
   );
-  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+  res.json(result.rows[0]);
+});
 
-  const { title, description, stage, due_date } = req.body;
-  const id = nanoid(12);
-  
-  await pool.query(
-    'INSERT INTO tasks (id, project_id, title, description, stage, due_date) VALUES ($1, $2, $3, $4, $5, $6)',
-    [id, req.params.projectId, title, description, stage || 'backlog', due_date]
+app.get('/api/portals/:portalId/webhooks', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    `SELECT w.*, 
+            COUNT(d.id) FILTER (WHERE d.status = 'failed') as failed_count,
+            MAX(d.delivered_at) as last_delivered_at
+     FROM webhooks w LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+     WHERE w.portal_id = $1 GROUP BY w.id ORDER BY w.created_at DESC`,
+    [req.params.portalId]
   );
-  
-  res.json({ id });
+  res.json(result.rows);
 });
 
-// Update task
-app.patch('/api/tasks/:taskId', requireAuth, async (req, res) => {
-  // Verify ownership
+app.patch('/api/webhooks/:webhookId', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT t.id FROM tasks t JOIN projects pr ON t.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE t.id = $1 AND p.user_id = $2`,
-    [req.params.taskId, req.user.id]
+    'SELECT w.id FROM webhooks w JOIN portals p ON w.portal_id = p.id WHERE w.id = $1 AND p.user_id = $2',
+    [req.params.webhookId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const { title, description, stage, position, due_date } = req.body;
+  const { url, events, active, rotate_secret } = req.body;
+  const invalid = await validateWebhook({ url, events });
+  if (invalid) return res.status(400).json({ error: invalid });
+
   const updates = [];
   const values = [];
   let i = 1;
-  
-  if (title) { updates.push(`title = $${i++}`); values.push(title); }
-  if (description !== undefined) { updates.push(`description = $${i++}`); values.push(description); }
-  if (stage) { updates.push(`stage = $${i++}`); values.push(stage); }
-  if (position !== undefined) { updates.push(`position = $${i++}`); values.push(position); }
-  if (due_date !== undefined) { updates.push(`due_date = $${i++}`); values.push(due_date); }
-  
-  if (updates.length === 0) return res.json({ success: true });
-  
-  values.push(req.params.taskId);
-  await pool.query(`UPDATE tasks SET ${updates.join(', ')} WHERE id = $${i}`, values);
-  
-  res.json({ success: true });
-});
 
-// Delete task
-app.delete('/api/tasks/:taskId', requireAuth, async (req, res) => {
-  const check = await pool.query(
-    `SELECT t.id FROM tasks t JOIN projects pr ON t.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE t.id = $1 AND p.user_id = $2`,
-    [req.params.taskId, req.user.id]
-  );
-  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+  if (url) { updates.push(`url = $${i++}`); values.push(url); }
+  if (events) { updates.push(`events = $${i++}`); values.push(JSON.stringify(events)); }
+  if (active !== undefined) { updates.push(`active = $${i++}`); values.push(!!active); }
+  if (rotate_secret) { updates.push(`secret = $${i++}`); values.push(webhooks.generateSecret()); }
 
-  await pool.query('DELETE FROM tasks WHERE id = $1', [req.params.taskId]);
-  res.json({ success: true });
-});
+  if (updates.length === 0) return res.json({ success: true });
 
-// ==================== UPDATES ROUTES ====================
+  values.push(req.params.webhookId);
+  const result = await pool.query(`UPDATE webhooks SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+  res.json(result.rows[0]);
+});
 
-app.post('/api/projects/:projectId/updates', requireAuth, async (req, res) => {
+app.delete('/api/webhooks/:webhookId', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
+    'SELECT w.id FROM webhooks w JOIN portals p ON w.portal_id = p.id WHERE w.id = $1 AND p.user_id = $2',
+    [req.params.webhookId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const { content } = req.body;
-  const id = nanoid(12);
-  
-  await pool.query(
-    'INSERT INTO updates (id, project_id, author_type, author_id, content) VALUES ($1, $2, $3, $4, $5)',
-    [id, req.params.projectId, 'user', req.user.id, content]
-  );
-  
-  res.json({ id });
+  await pool.query('DELETE FROM webhooks WHERE id = $1', [req.params.webhookId]);
+  res.json({ success: true });
 });
 
-app.get('/api/projects/:projectId/updates', requireAuth, async (req, res) => {
+// Delivery log (newest first)
+app.get('/api/webhooks/:webhookId/deliveries', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
+    'SELECT w.id FROM webhooks w JOIN portals p ON w.portal_id = p.id WHERE w.id = $1 AND p.user_id = $2',
+    [req.params.webhookId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
   const result = await pool.query(
-    `SELECT u.*, c.name as client_name FROM updates u 
-     LEFT JOIN clients c ON u.author_type = 'client' AND u.author_id = c.id
-     WHERE u.project_id = $1 ORDER BY u.created_at DESC`,
-    [req.params.projectId]
+    'SELECT * FROM webhook_deliveries WHERE webhook_id = $1 ORDER BY created_at DESC LIMIT 100',
+    [req.params.webhookId]
   );
   res.json(result.rows);
 });
 
-// ==================== FILE ROUTES ====================
-
-app.post('/api/projects/:projectId/files', requireAuth, upload.single('file'), async (req, res) => {
+app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', requireAuth, async (req, res) => {
   const check = await pool.query(
-    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
+    `SELECT d.* FROM webhook_deliveries d JOIN webhooks w ON d.webhook_id = w.id JOIN portals p ON w.portal_id = p.id 
+     WHERE d.id = $1 AND w.id = $2 AND p.user_id = $3`,
+    [req.params.deliveryId, req.params.webhookId, req.user.id]
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  if (!req.file) return res.status(400).json({ error: 'No file' });
-  
-  const id = nanoid(12);
-  await pool.query(
-    'INSERT INTO files (id, project_id, name, file_path, file_size, mime_type, uploaded_by) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-    [id, req.params.projectId, req.file.originalname, req.file.path, req.file.size, req.file.mimetype, req.user.id]
-  );
-  
-  res.json({ id, name: req.file.originalname });
+  const delivery = await webhooks.redeliver(check.rows[0]);
+  res.json(delivery);
 });
 
-app.get('/api/projects/:projectId/files', requireAuth, async (req, res) => {
-  const check = await pool.query(
-    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
-    [req.params.projectId, req.user.id]
-  );
-  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+// ==================== CLIENT ROUTES ====================
 
-  const result = await pool.query(
-    `SELECT f.*, COUNT(fd.id) as download_count FROM files f 
-     LEFT JOIN file_downloads fd ON f.id = fd.file_id
-     WHERE f.project_id = $1 GROUP BY f.id ORDER BY f.created_at DESC`,
-    [req.params.projectId]
-  );
-  res.json(result.rows);
-});
+// Create client (verify portal ownership)
+app.post('/api/portals/:portalId/clients', requireAuth, async (req, res) => {
+  try {
+    // Verify user owns this portal
+    const portal = await pool.query('SELECT id, name FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+    if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-// Download file (client access via magic link)
-app.get('/api/files/:fileId/download', clientAuth, async (req, res) => {
-  const file = await pool.query('SELECT * FROM files WHERE id = $1', [req.params.fileId]);
-  if (file.rows.length === 0) return res.status(404).json({ error: 'File not found' });
+    const { name, email, send_invite } = req.body;
+    const id = nanoid(12);
+    
+    // The client's own email becomes its first contact, allowed to sign off; both or neither
+    const db = await pool.connect();
+    let result, contact;
+    try {
+      await db.query('BEGIN');
+      result = await db.query(
+        'INSERT INTO clients (id, portal_id, name, email) VALUES ($1, $2, $3, $4) RETURNING *',
+        [id, req.params.portalId, name, email]
+      );
+      contact = await createContact(id, { name, email, role: 'approver' }, db);
+      await db.query('COMMIT');
+    } catch (e) {
+      await db.query('ROLLBACK');
+      throw e;
+    } finally {
+      db.release();
+    }
+
+    webhooks.emit(req.params.portalId, 'client.created', {
+      client: { id, name, email, created_at: result.rows[0].created_at }
+    });
+
+    // Invite by email unless the freelancer opts out
+    let inviteSent = false;
+    if (send_invite !== false) {
+      try {
+        await sendPortalLink({ ...contact, portal_id: req.params.portalId }, portal.rows[0].name);
+        inviteSent = true;
+      } catch (err) {
+        console.error('Invite email failed:', err.message);
+      }
+    }
+    
+    res.json({
+      id,
+      contactId: contact.id,
+      accessToken: contact.access_token,
+      portalUrl: `/portal?token=${contact.access_token}`,
+      expiresAt: contact.token_expires_at,
+      inviteSent
+    });
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Client email already exists' });
+    res.status(500).json({ error: 'Failed to create client' });
+  }
+});
+
+// Get portal clients (verify ownership)
+app.get('/api/portals/:portalId/clients', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    `SELECT c.*, COUNT(p.id) as project_count, 
+            (SELECT COUNT(*) FROM client_contacts ct WHERE ct.client_id = c.id AND ct.deleted_at IS NULL) as contact_count 
+     FROM clients c LEFT JOIN projects p ON c.id = p.client_id AND p.deleted_at IS NULL
+     WHERE c.portal_id = $1 AND c.deleted_at IS NULL GROUP BY c.id ORDER BY c.created_at DESC`,
+    [req.params.portalId]
+  );
+  res.json(result.rows);
+});
+
+// Load a client with its portal name (verify ownership)
+async function getOwnedClient(clientId, userId) {
+  const result = await pool.query(
+    `SELECT c.*, p.name as portal_name FROM clients c 
+     JOIN portals p ON c.portal_id = p.id 
+     WHERE c.id = $1 AND p.user_id = $2 AND c.deleted_at IS NULL`,
+    [clientId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Update client (name, email)
+app.patch('/api/clients/:clientId', requireAuth, async (req, res) => {
+  const client = await getOwnedClient(req.params.clientId, req.user.id);
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name, email } = req.body;
+  const updates = [];
+  const values = [];
+  let i = 1;
+
+  if (name !== undefined) { updates.push(`name = $${i++}`); values.push(name); }
+  if (email !== undefined) { updates.push(`email = $${i++}`); values.push(email); }
+
+  if (updates.length === 0) return res.status(400).json({ error: 'No changes' });
+  values.push(req.params.clientId);
+
+  try {
+    const result = await pool.query(`UPDATE clients SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+    res.json(result.rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Client email already exists' });
+    res.status(500).json({ error: 'Failed to update client' });
+  }
+});
+
+// Move client to the trash (its contacts' links stop working until it is restored)
+app.delete('/api/clients/:clientId', requireAuth, async (req, res) => {
+  const client = await getOwnedClient(req.params.clientId, req.user.id);
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE clients SET deleted_at = NOW() WHERE id = $1', [req.params.clientId]);
+  res.json({ success: true });
+});
+
+// ==================== CONTACT ROUTES ====================
+
+// Load a contact with its client's portal (verify ownership)
+async function getOwnedContact(contactId, userId) {
+  const result = await pool.query(
+    `SELECT ct.*, c.portal_id, p.name as portal_name FROM client_contacts ct 
+     JOIN clients c ON ct.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE ct.id = $1 AND p.user_id = $2 AND ct.deleted_at IS NULL AND c.deleted_at IS NULL`,
+    [contactId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// People at the client, each with their own link and role
+app.get('/api/clients/:clientId/contacts', requireAuth, async (req, res) => {
+  const client = await getOwnedClient(req.params.clientId, req.user.id);
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    'SELECT * FROM client_contacts WHERE client_id = $1 AND deleted_at IS NULL ORDER BY created_at',
+    [client.id]
+  );
+  res.json(result.rows);
+});
+
+// Add a contact (role: viewer | commenter | approver, emailed their link unless send_invite is false)
+app.post('/api/clients/:clientId/contacts', requireAuth, async (req, res) => {
+  const client = await getOwnedClient(req.params.clientId, req.user.id);
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  if (client.erased_at) return res.status(400).json({ error: 'Client was erased' });
+
+  const { name, email, role = 'viewer', send_invite } = req.body;
+  if (!name || !email) return res.status(400).json({ error: 'Name and email required' });
+  if (!CONTACT_ROLES.includes(role)) return res.status(400).json({ error: `role must be one of: ${CONTACT_ROLES.join(', ')}` });
+
+  let contact;
+  try {
+    contact = await createContact(client.id, { name, email, role });
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Contact email already exists' });
+    return res.status(500).json({ error: 'Failed to add contact' });
+  }
+
+  let inviteSent = false;
+  if (send_invite !== false) {
+    try {
+      await sendPortalLink({ ...contact, portal_id: client.portal_id }, client.portal_name);
+      inviteSent = true;
+    } catch (err) {
+      console.error('Invite email failed:', err.message);
+    }
+  }
+
+  res.json({ ...contact, portalUrl: `/portal?token=${contact.access_token}`, inviteSent });
+});
+
+// Update contact (name, email, role)
+app.patch('/api/contacts/:contactId', requireAuth, async (req, res) => {
+  const contact = await getOwnedContact(req.params.contactId, req.user.id);
+  if (!contact) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name, email, role } = req.body;
+  if (role !== undefined && !CONTACT_ROLES.includes(role)) {
+    return res.status(400).json({ error: `role must be one of: ${CONTACT_ROLES.join(', ')}` });
+  }
+  const updates = [];
+  const values = [];
+  let i = 1;
+
+  if (name !== undefined) { updates.push(`name = $${i++}`); values.push(name); }
+  if (email !== undefined) { updates.push(`email = $${i++}`); values.push(email); }
+  if (role !== undefined) { updates.push(`role = $${i++}`); values.push(role); }
+
+  if (updates.length === 0) return res.status(400).json({ error: 'No changes' });
+  values.push(contact.id);
+
+  try {
+    const result = await pool.query(`UPDATE client_contacts SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+    res.json(result.rows[0]);
+  } catch (e) {
+    if (e.code === '23505') return res.status(400).json({ error: 'Contact email already exists' });
+    res.status(500).json({ error: 'Failed to update contact' });
+  }
+});
+
+// Move contact to the trash (their link stops working until it is restored)
+app.delete('/api/contacts/:contactId', requireAuth, async (req, res) => {
+  const contact = await getOwnedContact(req.params.contactId, req.user.id);
+  if (!contact) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE client_contacts SET deleted_at = NOW() WHERE id = $1', [contact.id]);
+  res.json({ success: true });
+});
+
+// Resend the magic link (issues a new one if the old link no longer works)
+app.post('/api/contacts/:contactId/resend-link', requireAuth, async (req, res) => {
+  let contact = await getOwnedContact(req.params.contactId, req.user.id);
+  if (!contact) return res.status(403).json({ error: 'Forbidden' });
+
+  try {
+    if (!isTokenUsable(contact)) contact = { ...contact, ...(await rotateContactToken(contact.id)) };
+    await sendPortalLink(contact, contact.portal_name);
+    res.json({ success: true, expiresAt: contact.token_expires_at });
+  } catch (e) {
+    res.status(500).json({ error: 'Failed to send link' });
+  }
+});
+
+// Rotate token (invalidates every link previously shared with this contact)
+app.post('/api/contacts/:contactId/rotate-token', requireAuth, async (req, res) => {
+  const contact = await getOwnedContact(req.params.contactId, req.user.id);
+  if (!contact) return res.status(403).json({ error: 'Forbidden' });
+
+  const rotated = await rotateContactToken(contact.id);
+  let inviteSent = false;
+  if (req.body.send_invite) {
+    try {
+      await sendPortalLink({ ...rotated, portal_id: contact.portal_id }, contact.portal_name);
+      inviteSent = true;
+    } catch (err) {
+      console.error('Invite email failed:', err.message);
+    }
+  }
+
+  res.json({
+    accessToken: rotated.access_token,
+    portalUrl: `/portal?token=${rotated.access_token}`,
+    expiresAt: rotated.token_expires_at,
+    inviteSent
+  });
+});
+
+// Revoke token (contact loses access until a new link is issued)
+app.post('/api/contacts/:contactId/revoke-token', requireAuth, async (req, res) => {
+  const contact = await getOwnedContact(req.params.contactId, req.user.id);
+  if (!contact) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE client_contacts SET token_revoked_at = NOW() WHERE id = $1', [contact.id]);
+  res.json({ success: true });
+});
+
+// ==================== PROJECT ROUTES ====================
+
+// Create project (verify ownership chain); with template_id it starts from that template
+app.post('/api/clients/:clientId/projects', requireAuth, async (req, res) => {
+  // Verify ownership: user -> portal -> client
+  const check = await pool.query(
+    `SELECT c.id, c.portal_id FROM clients c 
+     JOIN portals p ON c.portal_id = p.id 
+     WHERE c.id = $1 AND p.user_id = $2 AND c.deleted_at IS NULL`,
+    [req.params.clientId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name, description, template_id } = req.body;
+  if (template_id) return createFromTemplate(req, res, check.rows[0]);
+
+  const id = nanoid(12);
+  
+  await pool.query(
+    'INSERT INTO projects (id, client_id, name, description) VALUES ($1, $2, $3, $4)',
+    [id, req.params.clientId, name, description]
+  );
+  
+  res.json({ id });
+});
+
+// Get client projects
+app.get('/api/clients/:clientId/projects', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT c.id FROM clients c JOIN portals p ON c.portal_id = p.id WHERE c.id = $1 AND p.user_id = $2`,
+    [req.params.clientId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    'SELECT * FROM projects WHERE client_id = $1 AND deleted_at IS NULL ORDER BY created_at DESC',
+    [req.params.clientId]
+  );
+  res.json(result.rows);
+});
+
+// Get project with tasks
+app.get('/api/projects/:projectId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.*, c.portal_id FROM projects pr 
+     JOIN clients c ON pr.client_id = c.id 
+     JOIN portals p ON c.portal_id = p.id 
+     WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+  
+  const tasks = await pool.query(
+    `SELECT t.*, COALESCE(SUM(e.duration_seconds), 0)::int as tracked_seconds FROM tasks t 
+     LEFT JOIN time_entries e ON e.task_id = t.id 
+     WHERE t.project_id = $1 GROUP BY t.id ORDER BY t.position, t.created_at`,
+    [req.params.projectId]
+  );
+  const approval = await pool.query(
+    "SELECT * FROM approvals WHERE target_type = 'project' AND target_id = $1",
+    [req.params.projectId]
+  );
+  
+  res.json({
+    ...check.rows[0],
+    stages: await workflows.stagesFor(req.params.projectId),
+    tasks: tasks.rows,
+    file_slots: await templates.slots(req.params.projectId),
+    approval: approval.rows[0] || null
+  });
+});
+
+const PROJECT_STATUSES = ['active', 'archived'];
+
+// Update project (archived projects drop out of the client's project list)
+app.patch('/api/projects/:projectId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, c.portal_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name, description, status, task_stages } = req.body;
+  if (status !== undefined && !PROJECT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: ${PROJECT_STATUSES.join(', ')}` });
+  }
+  const updates = [];
+  const values = [];
+  let i = 1;
+
+  // null follows the portal's stages again; stages still holding tasks can't be dropped
+  if (task_stages !== undefined) {
+    const { stages, error } = task_stages === null ? { stages: null } : workflows.parseStages(task_stages);
+    if (error) return res.status(400).json({ error });
+    const keys = (stages || await workflows.portalStages(check.rows[0].portal_id)).map(s => s.key);
+    const inUse = await workflows.stagesInUse({ projectId: req.params.projectId }, keys);
+    if (inUse.length > 0) return res.status(409).json({ error: `Move the tasks out of ${inUse.join(', ')} first`, stages_in_use: inUse });
+    updates.push(`task_stages = $${i++}`);
+    values.push(stages && JSON.stringify(stages));
+  }
+
+  if (name !== undefined) { updates.push(`name = $${i++}`); values.push(name); }
+  if (description !== undefined) { updates.push(`description = $${i++}`); values.push(description); }
+  if (status !== undefined) { updates.push(`status = $${i++}`); values.push(status); }
+
+  if (updates.length === 0) return res.status(400).json({ error: 'No changes' });
+  values.push(req.params.projectId);
+
+  const result = await pool.query(`UPDATE projects SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`, values);
+  if (task_stages !== undefined) realtime.publish(req.params.projectId, 'task.changed', { action: 'stages_changed' });
+  res.json(result.rows[0]);
+});
+
+// Move project to the trash (stored files are deleted once it is purged)
+app.delete('/api/projects/:projectId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE projects SET deleted_at = NOW() WHERE id = $1', [req.params.projectId]);
+  res.json({ success: true });
+});
+
+// Live event stream for the dashboard (SSE)
+app.get('/api/projects/:projectId/events', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  realtime.openStream(req, res, req.params.projectId, { type: 'user', id: req.user.id, name: req.user.name });
+});
+
+// ==================== TEMPLATE ROUTES ====================
+
+async function getOwnedTemplate(templateId, userId) {
+  const result = await pool.query(
+    `SELECT t.* FROM project_templates t JOIN portals p ON t.portal_id = p.id 
+     WHERE t.id = $1 AND p.user_id = $2 AND p.deleted_at IS NULL`,
+    [templateId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Project, tasks, starter update and file slots from a template of the client's portal
+async function createFromTemplate(req, res, client) {
+  const { name, description, template_id, kickoff_date } = req.body;
+  const template = await getOwnedTemplate(template_id, req.user.id);
+  if (!template || template.portal_id !== client.portal_id) return res.status(400).json({ error: 'Unknown template' });
+
+  const kickoffDate = templates.parseKickoff(kickoff_date);
+  if (!kickoffDate) return res.status(400).json({ error: 'kickoff_date must be a YYYY-MM-DD date' });
+
+  const { project, update } = await templates.instantiate(template, {
+    clientId: client.id,
+    name: name && name.trim(),
+    description,
+    kickoffDate,
+    actor: { type: 'user', id: req.user.id, name: req.user.name || req.user.email }
+  });
+  if (update) {
+    webhooks.emit(client.portal_id, 'update.posted', {
+      update: { id: update, project_id: project.id, author_type: 'user', author_id: req.user.id, content: template.starter_update }
+    });
+  }
+  res.json({ id: project.id, template_id: template.id });
+}
+
+app.get('/api/portals/:portalId/templates', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await templates.list(req.params.portalId));
+});
+
+app.post('/api/portals/:portalId/templates', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = templates.parseTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+
+  res.json(await templates.create(req.params.portalId, fields));
+});
+
+app.get('/api/templates/:templateId', requireAuth, async (req, res) => {
+  const template = await getOwnedTemplate(req.params.templateId, req.user.id);
+  if (!template) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(template);
+});
+
+app.patch('/api/templates/:templateId', requireAuth, async (req, res) => {
+  const template = await getOwnedTemplate(req.params.templateId, req.user.id);
+  if (!template) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = templates.parseTemplate(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No changes' });
+
+  res.json(await templates.update(template.id, fields));
+});
+
+// Projects made from it keep everything; they just lose the link to the template
+app.delete('/api/templates/:templateId', requireAuth, async (req, res) => {
+  const template = await getOwnedTemplate(req.params.templateId, req.user.id);
+  if (!template) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('DELETE FROM project_templates WHERE id = $1', [template.id]);
+  res.json({ success: true });
+});
+
+// Save a project as a new template of its portal (name defaults to the project's)
+app.post('/api/projects/:projectId/template', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, pr.name, c.portal_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const fromProject = await templates.fromProject(req.params.projectId);
+  const { fields, error } = templates.parseTemplate({
+    ...fromProject,
+    name: req.body.name || check.rows[0].name,
+    description: req.body.description !== undefined ? req.body.description : fromProject.description
+  });
+  if (error) return res.status(400).json({ error });
+
+  res.json(await templates.create(check.rows[0].portal_id, fields));
+});
+
+// ==================== TASK ROUTES ====================
+
+async function getOwnedTask(taskId, userId) {
+  const result = await pool.query(
+    `SELECT t.*, c.portal_id FROM tasks t JOIN projects pr ON t.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE t.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [taskId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+function taskActor(req) {
+  return { type: 'user', id: req.user.id, name: req.user.name || req.user.email };
+}
+
+// Unknown stages and bad positions are the caller's mistake, a full column is a conflict
+function sendMoveError(res, { error, code }) {
+  res.status(code === 'WIP_LIMIT' ? 409 : code === 'NOT_FOUND' ? 404 : 400).json({ error, code });
+}
+
+function publishMove(task, portalId, { from, to }) {
+  if (!to) return;
+  realtime.publish(task.project_id, 'task.changed', { task_id: task.id, action: 'moved', from, to }, { internal: !task.client_visible });
+  if (from.stage !== to.stage) {
+    webhooks.emit(portalId, 'task.stage_changed', {
+      task: { id: task.id, title: task.title, project_id: task.project_id },
+      from: from.stage,
+      to: to.stage
+    });
+  }
+}
+
+// Create task (at the end of its column; the first stage when none is given)
+app.post('/api/projects/:projectId/tasks', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { title, description, stage, due_date, client_visible } = req.body;
+  if (!title || !title.trim()) return res.status(400).json({ error: 'Title is required' });
+
+  const result = await workflows.createTask(
+    req.params.projectId,
+    { title: title.trim(), description, stage, due_date, client_visible },
+    taskActor(req)
+  );
+  if (result.error) return sendMoveError(res, result);
+  realtime.publish(req.params.projectId, 'task.changed', { task_id: result.task.id, action: 'created' }, { internal: !result.task.client_visible });
+  
+  res.json({ id: result.task.id });
+});
+
+// Update task; stage and position go through the same move as POST /move
+app.patch('/api/tasks/:taskId', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  const { title, description, stage, position, due_date, client_visible } = req.body;
+  if (title !== undefined && !String(title).trim()) return res.status(400).json({ error: 'Title is required' });
+
+  if (stage !== undefined || position !== undefined) {
+    const moved = await workflows.moveTask(task, { stage, position }, taskActor(req));
+    if (moved.error) return sendMoveError(res, moved);
+    publishMove({ ...task, title: title || task.title }, task.portal_id, moved);
+  }
+
+  const fields = {};
+  if (title !== undefined) fields.title = String(title).trim();
+  if (description !== undefined) fields.description = description;
+  if (due_date !== undefined) fields.due_date = due_date || null;
+  if (client_visible !== undefined) fields.client_visible = client_visible === true;
+
+  const updates = [];
+  const values = [];
+  let i = 1;
+  for (const [column, value] of Object.entries(fields)) { updates.push(`${column} = $${i++}`); values.push(value); }
+
+  if (updates.length > 0) {
+    values.push(task.id);
+    await pool.query(`UPDATE tasks SET ${updates.join(', ')} WHERE id = $${i}`, values);
+    await workflows.recordEdit({ ...task, title: fields.title || task.title }, taskActor(req), fields);
+    // Clients hear about a task turning internal too, so it leaves their board
+    const internal = !task.client_visible && !fields.client_visible;
+    realtime.publish(task.project_id, 'task.changed', { task_id: task.id, action: 'updated' }, { internal });
+  }
+  
+  res.json({ success: true });
+});
+
+// Move a task to a stage and/or position; the column is renumbered in one transaction
+app.post('/api/tasks/:taskId/move', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  const { stage, position } = req.body;
+  if (stage === undefined && position === undefined) return res.status(400).json({ error: 'stage or position is required' });
+
+  const moved = await workflows.moveTask(task, { stage, position }, taskActor(req));
+  if (moved.error) return sendMoveError(res, moved);
+  publishMove(task, task.portal_id, moved);
+  res.json({ task: moved.task, from: moved.from, to: moved.to });
+});
+
+// Delete task
+app.delete('/api/tasks/:taskId', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  await workflows.deleteTask(task, taskActor(req));
+  realtime.publish(task.project_id, 'task.changed', { task_id: task.id, action: 'deleted' }, { internal: !task.client_visible });
+  res.json({ success: true });
+});
+
+// Who created, moved, edited, hid or deleted which task, newest first (?task_id=, ?limit=)
+app.get('/api/projects/:projectId/task-activity', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await workflows.activity(req.params.projectId, { taskId: req.query.task_id, limit: req.query.limit }));
+});
+
+// ==================== TIME TRACKING ROUTES ====================
+
+async function getOwnedTimeEntry(entryId, userId) {
+  const result = await pool.query(
+    `SELECT e.*, t.project_id, t.client_visible FROM time_entries e JOIN tasks t ON e.task_id = t.id JOIN projects pr ON t.project_id = pr.id 
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE e.id = $1 AND p.user_id = $2`,
+    [entryId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Start a timer (stops the one already running, if any)
+app.post('/api/tasks/:taskId/timer', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  const { entry, stopped } = await timetracking.startTimer(task.id, req.user.id, req.body);
+  realtime.publish(task.project_id, 'task.changed', { task_id: task.id, action: 'timer_started' }, { internal: !task.client_visible });
+  res.json({ ...entry, stopped });
+});
+
+app.post('/api/time-entries/:entryId/stop', requireAuth, async (req, res) => {
+  const entry = await getOwnedTimeEntry(req.params.entryId, req.user.id);
+  if (!entry) return res.status(403).json({ error: 'Forbidden' });
+
+  const stopped = await timetracking.stopTimer(entry.id);
+  if (!stopped) return res.status(409).json({ error: 'Timer is not running' });
+
+  realtime.publish(entry.project_id, 'task.changed', { task_id: entry.task_id, action: 'timer_stopped' }, { internal: !entry.client_visible });
+  res.json(stopped);
+});
+
+// The user's running timer, if any
+app.get('/api/timer', requireAuth, async (req, res) => {
+  res.json(await timetracking.runningTimer(req.user.id));
+});
+
+// Log time by hand
+app.post('/api/tasks/:taskId/time-entries', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = timetracking.parseEntry(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const endedAt = new Date(fields.started_at.getTime() + fields.duration_seconds * 1000);
+  const result = await pool.query(
+    `INSERT INTO time_entries (id, task_id, user_id, started_at, ended_at, duration_seconds, note, billable) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [nanoid(12), task.id, req.user.id, fields.started_at, endedAt, fields.duration_seconds, fields.note || null, fields.billable !== false]
+  );
+  realtime.publish(task.project_id, 'task.changed', { task_id: task.id, action: 'time_logged' }, { internal: !task.client_visible });
+  res.json(result.rows[0]);
+});
+
+app.get('/api/tasks/:taskId/time-entries', requireAuth, async (req, res) => {
+  const task = await getOwnedTask(req.params.taskId, req.user.id);
+  if (!task) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query('SELECT * FROM time_entries WHERE task_id = $1 ORDER BY started_at DESC', [task.id]);
+  res.json(result.rows);
+});
+
+// Edit an entry (duration only once the timer has stopped)
+app.patch('/api/time-entries/:entryId', requireAuth, async (req, res) => {
+  const entry = await getOwnedTimeEntry(req.params.entryId, req.user.id);
+  if (!entry) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = timetracking.parseEntry(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (!entry.ended_at && (fields.duration_seconds !== undefined || fields.started_at !== undefined)) {
+    return res.status(400).json({ error: 'Stop the timer before changing its time' });
+  }
+
+  const updates = [];
+  const values = [];
+  let i = 1;
+
+  if (fields.started_at !== undefined) { updates.push(`started_at = $${i++}`); values.push(fields.started_at); }
+  if (fields.duration_seconds !== undefined) { updates.push(`duration_seconds = $${i++}`); values.push(fields.duration_seconds); }
+  if (fields.note !== undefined) { updates.push(`note = $${i++}`); values.push(fields.note); }
+  if (fields.billable !== undefined) { updates.push(`billable = $${i++}`); values.push(fields.billable); }
+
+  if (updates.length === 0) return res.status(400).json({ error: 'No changes' });
+
+  // Keep ended_at in step with the start and duration the entry ends up with
+  if (fields.started_at !== undefined || fields.duration_seconds !== undefined) {
+    const startedAt = fields.started_at || entry.started_at;
+    const duration = fields.duration_seconds !== undefined ? fields.duration_seconds : entry.duration_seconds;
+    updates.push(`ended_at = $${i++}`);
+    values.push(new Date(startedAt.getTime() + duration * 1000));
+  }
+  values.push(entry.id);
+
+  const result = await pool.query(
+    `UPDATE time_entries SET ${updates.join(', ')} WHERE id = $${i} RETURNING *`,
+    values
+  );
+
+  realtime.publish(entry.project_id, 'task.changed', { task_id: entry.task_id, action: 'time_logged' }, { internal: !entry.client_visible });
+  res.json(result.rows[0]);
+});
+
+app.delete('/api/time-entries/:entryId', requireAuth, async (req, res) => {
+  const entry = await getOwnedTimeEntry(req.params.entryId, req.user.id);
+  if (!entry) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('DELETE FROM time_entries WHERE id = $1', [entry.id]);
+  realtime.publish(entry.project_id, 'task.changed', { task_id: entry.task_id, action: 'time_logged' }, { internal: !entry.client_visible });
+  res.json({ success: true });
+});
+
+// Hours per task/project/client/day/entry (?group_by=&from=&to=&billable=&portal_id=&client_id=&project_id=&task_id=&format=csv)
+app.get('/api/reports/time', requireAuth, async (req, res) => {
+  const query = timetracking.parseReportQuery(req.query);
+  if (query.error) return res.status(400).json({ error: query.error });
+
+  const report = await timetracking.report(req.user.id, query);
+  if (req.query.format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`time-${query.groupBy}.csv`);
+    return res.send(timetracking.toCsv(report, query.groupBy));
+  }
+  res.json(report);
+});
+
+// ==================== UPDATES ROUTES ====================
+
+app.post('/api/projects/:projectId/updates', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, c.portal_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { content } = req.body;
+  const id = nanoid(12);
+  
+  await pool.query(
+    'INSERT INTO updates (id, project_id, author_type, author_id, content) VALUES ($1, $2, $3, $4, $5)',
+    [id, req.params.projectId, 'user', req.user.id, content]
+  );
+  realtime.publish(req.params.projectId, 'update.created', { update_id: id, author_type: 'user' });
+  webhooks.emit(check.rows[0].portal_id, 'update.posted', {
+    update: { id, project_id: req.params.projectId, author_type: 'user', author_id: req.user.id, content }
+  });
+  
+  res.json({ id });
+});
+
+app.get('/api/projects/:projectId/updates', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  try {
+    const result = await pool.query(
+      `SELECT u.*, COALESCE(ct.name, c.name) as client_name,
+              (SELECT MIN(r.first_seen_at) FROM update_reads r WHERE r.update_id = u.id) as seen_at
+       FROM updates u 
+       LEFT JOIN clients c ON u.author_type = 'client' AND u.author_id = c.id
+       LEFT JOIN client_contacts ct ON u.contact_id = ct.id
+       WHERE u.project_id = $1 AND u.deleted_at IS NULL ORDER BY u.created_at DESC`,
+      [req.params.projectId]
+    );
+    res.json(result.rows);
+  } catch (e) {
+    console.error('Loading updates failed:', e.message);
+    res.status(500).json({ error: 'Failed to load updates' });
+  }
+});
+
+// Edit an update (only the freelancer's own updates, client replies stay as written)
+app.patch('/api/updates/:updateId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT u.id, u.project_id, u.author_type FROM updates u JOIN projects pr ON u.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE u.id = $1 AND p.user_id = $2 AND u.deleted_at IS NULL`,
+    [req.params.updateId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+  if (check.rows[0].author_type !== 'user') return res.status(400).json({ error: 'Client replies cannot be edited' });
+
+  const { content } = req.body;
+  if (!content || !content.trim()) return res.status(400).json({ error: 'Content required' });
+
+  const result = await pool.query(
+    'UPDATE updates SET content = $1, edited_at = NOW() WHERE id = $2 RETURNING *',
+    [content, req.params.updateId]
+  );
+  realtime.publish(check.rows[0].project_id, 'update.changed', { update_id: req.params.updateId });
+  res.json(result.rows[0]);
+});
+
+// Move an update (or a client reply) to the trash
+app.delete('/api/updates/:updateId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT u.id, u.project_id FROM updates u JOIN projects pr ON u.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE u.id = $1 AND p.user_id = $2 AND u.deleted_at IS NULL`,
+    [req.params.updateId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE updates SET deleted_at = NOW() WHERE id = $1', [req.params.updateId]);
+  realtime.publish(check.rows[0].project_id, 'update.changed', { update_id: req.params.updateId, deleted: true });
+  res.json({ success: true });
+});
+
+// ==================== FILE ROUTES ====================
+
+// Claim a streamed upload for a portal: reuse identical content, then enforce the quota
+async function claimUpload(file, portalId) {
+  const { object, duplicate } = await storage.attach(file.objectId, portalId);
+  if (!duplicate) {
+    const usage = await storage.usage(portalId);
+    if (usage.quota_bytes !== null && usage.used_bytes > usage.quota_bytes) {
+      await storage.removeObject(object.id);
+      return { error: 'Storage quota exceeded' };
+    }
+  }
+  return { object, duplicate };
+}
+
+// New file row with its first version (commentId when uploaded as a comment attachment)
+async function insertFile({ projectId, file, object, uploadedBy, commentId = null }) {
+  const id = nanoid(12);
+  await pool.query(
+    'INSERT INTO files (id, project_id, name, file_path, file_size, mime_type, uploaded_by, comment_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+    [id, projectId, file.originalname, object.storage_key, object.size, file.mimetype, uploadedBy, commentId]
+  );
+  await pool.query(
+    'INSERT INTO file_versions (id, file_id, version, name, file_path, file_size, mime_type, uploaded_by, object_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+    [nanoid(12), id, 1, file.originalname, object.storage_key, object.size, file.mimetype, uploadedBy, object.id]
+  );
+  return id;
+}
+
+app.post('/api/projects/:projectId/files', requireAuth, upload.single('file'), async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, c.portal_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) {
+    if (req.file) await storage.removeObject(req.file.objectId);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (!req.file) return res.status(400).json({ error: 'No file' });
+
+  // Optionally fill (or refill) one of the project's file slots
+  const slotId = req.body.slot_id || null;
+  if (slotId) {
+    const slot = await pool.query('SELECT id FROM project_file_slots WHERE id = $1 AND project_id = $2', [slotId, req.params.projectId]);
+    if (slot.rows.length === 0) {
+      await storage.removeObject(req.file.objectId);
+      return res.status(400).json({ error: 'Unknown file slot' });
+    }
+  }
+
+  const { object, duplicate, error } = await claimUpload(req.file, check.rows[0].portal_id);
+  if (error) return res.status(413).json({ error });
+  
+  const id = await insertFile({ projectId: req.params.projectId, file: req.file, object, uploadedBy: req.user.id });
+  if (slotId) await pool.query('UPDATE project_file_slots SET file_id = $1 WHERE id = $2', [id, slotId]);
+  
+  realtime.publish(req.params.projectId, 'file.created', { file_id: id, name: req.file.originalname, version: 1 });
+  
+  res.json({ id, name: req.file.originalname, version: 1, checksum: object.checksum, duplicate_of: duplicate });
+});
+
+// Add a placeholder for a file still to come (projects from templates get theirs from it)
+app.post('/api/projects/:projectId/file-slots', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { slots, error } = templates.parseSlots([req.body]);
+  if (error) return res.status(400).json({ error });
+
+  const id = nanoid(12);
+  await pool.query(
+    `INSERT INTO project_file_slots (id, project_id, name, description, position)
+     VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position) + 1, 0) FROM project_file_slots WHERE project_id = $2))`,
+    [id, req.params.projectId, slots[0].name, slots[0].description]
+  );
+  realtime.publish(req.params.projectId, 'file.changed', { slot_id: id, action: 'slot_created' });
+  res.json({ id });
+});
+
+// Remove a slot; a file that filled it stays
+app.delete('/api/file-slots/:slotId', requireAuth, async (req, res) => {
+  const slot = await pool.query(
+    `SELECT s.id, s.project_id FROM project_file_slots s JOIN projects pr ON s.project_id = pr.id JOIN clients c ON pr.client_id = c.id 
+     JOIN portals p ON c.portal_id = p.id WHERE s.id = $1 AND p.user_id = $2`,
+    [req.params.slotId, req.user.id]
+  );
+  if (slot.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('DELETE FROM project_file_slots WHERE id = $1', [req.params.slotId]);
+  realtime.publish(slot.rows[0].project_id, 'file.changed', { slot_id: req.params.slotId, action: 'slot_deleted' });
+  res.json({ success: true });
+});
+
+// Upload a new version of an existing file (history is kept, the file points at the latest)
+app.post('/api/files/:fileId/versions', requireAuth, upload.single('file'), async (req, res) => {
+  const check = await pool.query(
+    `SELECT f.id, f.project_id, c.portal_id FROM files f JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE f.id = $1 AND p.user_id = $2 AND f.deleted_at IS NULL`,
+    [req.params.fileId, req.user.id]
+  );
+  if (check.rows.length === 0) {
+    if (req.file) await storage.removeObject(req.file.objectId);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  if (!req.file) return res.status(400).json({ error: 'No file' });
+
+  const { object, duplicate, error } = await claimUpload(req.file, check.rows[0].portal_id);
+  if (error) return res.status(413).json({ error });
+
+  // The file stays locked from the bump to its version row, so concurrent uploads get consecutive numbers
+  const db = await pool.connect();
+  let version;
+  let failed = false;
+  try {
+    await db.query('BEGIN');
+    const locked = await db.query('SELECT id FROM files WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [req.params.fileId]);
+    if (locked.rows.length > 0) {
+      const bumped = await db.query(
+        `UPDATE files SET current_version = current_version + 1, name = $1, file_path = $2, file_size = $3, mime_type = $4 
+         WHERE id = $5 RETURNING current_version`,
+        [req.file.originalname, object.storage_key, object.size, req.file.mimetype, req.params.fileId]
+      );
+      version = bumped.rows[0].current_version;
+      await db.query(
+        'INSERT INTO file_versions (id, file_id, version, name, file_path, file_size, mime_type, uploaded_by, object_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)',
+        [nanoid(12), req.params.fileId, version, req.file.originalname, object.storage_key, object.size, req.file.mimetype, req.user.id, object.id]
+      );
+    }
+    await db.query('COMMIT');
+  } catch (e) {
+    await db.query('ROLLBACK');
+    console.error('New file version failed:', e.message);
+    failed = true;
+  } finally {
+    db.release();
+  }
+  if (!version) {
+    if (!duplicate) await storage.removeObject(object.id);
+    // Trashed while the upload came in
+    if (!failed) return res.status(404).json({ error: 'Not found' });
+    return res.status(500).json({ error: 'Failed to upload version' });
+  }
+
+  // A sign-off on an older version doesn't cover this one
+  const approval = await pool.query(
+    "SELECT status FROM approvals WHERE target_type = 'file' AND target_id = $1",
+    [req.params.fileId]
+  );
+  if (approval.rows.length && approval.rows[0].status !== 'awaiting_approval') {
+    await requestApproval({
+      targetType: 'file',
+      targetId: req.params.fileId,
+      projectId: check.rows[0].project_id,
+      user: req.user,
+      note: `Version ${version} uploaded`
+    });
+  }
+
+  realtime.publish(check.rows[0].project_id, 'file.created', { file_id: req.params.fileId, name: req.file.originalname, version }, {
+    internal: await comments.isInternalFile(req.params.fileId)
+  });
+
+  res.json({ id: req.params.fileId, name: req.file.originalname, version, checksum: object.checksum, duplicate_of: duplicate });
+});
+
+// Version history with per-version download counts
+app.get('/api/files/:fileId/versions', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT f.id FROM files f JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE f.id = $1 AND p.user_id = $2`,
+    [req.params.fileId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    `SELECT v.id, v.version, v.name, v.file_size, v.mime_type, v.created_at, COUNT(fd.id) as download_count 
+     FROM file_versions v LEFT JOIN file_downloads fd ON fd.version_id = v.id
+     WHERE v.file_id = $1 GROUP BY v.id ORDER BY v.version DESC`,
+    [req.params.fileId]
+  );
+  res.json(result.rows);
+});
+
+app.get('/api/projects/:projectId/files', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    `SELECT f.*, COUNT(fd.id) as download_count, a.id as approval_id, a.status as approval_status FROM files f 
+     LEFT JOIN file_downloads fd ON f.id = fd.file_id
+     LEFT JOIN approvals a ON a.target_type = 'file' AND a.target_id = f.id
+     WHERE f.project_id = $1 AND f.deleted_at IS NULL GROUP BY f.id, a.id ORDER BY f.created_at DESC`,
+    [req.params.projectId]
+  );
+  res.json(result.rows);
+});
+
+// Rename a file (the name clients see and download it as)
+app.patch('/api/files/:fileId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT f.id, f.project_id FROM files f JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE f.id = $1 AND p.user_id = $2 AND f.deleted_at IS NULL`,
+    [req.params.fileId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { name } = req.body;
+  if (!name || !name.trim()) return res.status(400).json({ error: 'Name required' });
+
+  const result = await pool.query('UPDATE files SET name = $1 WHERE id = $2 RETURNING *', [name.trim(), req.params.fileId]);
+  await pool.query(
+    'UPDATE file_versions SET name = $1 WHERE file_id = $2 AND version = $3',
+    [name.trim(), req.params.fileId, result.rows[0].current_version]
+  );
+  realtime.publish(check.rows[0].project_id, 'file.changed', { file_id: req.params.fileId }, { internal: await comments.isInternalFile(req.params.fileId) });
+  res.json(result.rows[0]);
+});
+
+// Move a file (all its versions) to the trash
+app.delete('/api/files/:fileId', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT f.id, f.project_id FROM files f JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE f.id = $1 AND p.user_id = $2 AND f.deleted_at IS NULL`,
+    [req.params.fileId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('UPDATE files SET deleted_at = NOW() WHERE id = $1', [req.params.fileId]);
+  realtime.publish(check.rows[0].project_id, 'file.changed', { file_id: req.params.fileId, deleted: true }, {
+    internal: await comments.isInternalFile(req.params.fileId)
+  });
+  res.json({ success: true });
+});
+
+// Download file (client access via magic link, ?version=N for an older version)
+app.get('/api/files/:fileId/download', clientAuth, async (req, res) => {
+  const file = await pool.query(
+    `SELECT f.* FROM files f JOIN projects pr ON f.project_id = pr.id 
+     WHERE f.id = $1 AND pr.client_id = $2 AND f.deleted_at IS NULL AND pr.deleted_at IS NULL AND ${comments.CLIENT_VISIBLE_FILE}`,
+    [req.params.fileId, req.client.id]
+  );
+  if (file.rows.length === 0) return res.status(404).json({ error: 'File not found' });
+
+  const requested = req.query.version ? Number(req.query.version) : file.rows[0].current_version;
+  if (!Number.isInteger(requested) || requested < 1 || requested > 2147483647) {
+    return res.status(400).json({ error: 'version must be a whole number' });
+  }
+
+  const version = await pool.query(
+    'SELECT * FROM file_versions WHERE file_id = $1 AND version = $2',
+    [req.params.fileId, requested]
+  );
+  if (version.rows.length === 0) return res.status(404).json({ error: 'Version not found' });
+  
+  await pool.query(
+    'INSERT INTO file_downloads (id, file_id, client_id, contact_id, ip_address, version_id, version) VALUES ($1, $2, $3, $4, $5, $6, $7)',
+    [nanoid(12), req.params.fileId, req.client.id, req.contact.id, req.ip, version.rows[0].id, version.rows[0].version]
+  );
+  webhooks.emit(req.client.portal_id, 'file.downloaded', {
+    file: { id: req.params.fileId, name: version.rows[0].name, version: version.rows[0].version, project_id: file.rows[0].project_id },
+    client: { id: req.client.id, name: req.client.name, email: req.client.email },
+    contact: { id: req.contact.id, name: req.contact.name, email: req.contact.email, role: req.contact.role }
+  });
+  notifications.notify(req.client.portal_id, 'file.downloaded', {
+    clientId: req.client.id,
+    projectId: file.rows[0].project_id,
+    summary: `${actorName(req)} downloaded ${version.rows[0].name} (v${version.rows[0].version})`
+  });
   
+  // Remote storage hands out a short-lived signed URL, local disk is streamed from here
+  const target = await storage.downloadTarget(version.rows[0].object_id, {
+    filename: version.rows[0].name,
+    contentType: version.rows[0].mime_type
+  });
+  if (!target) return res.status(404).json({ error: 'File not found' });
+  if (target.url) return res.redirect(target.url);
+  res.download(target.path, version.rows[0].name);
+});
+
+// Storage used by a portal against its quota
+app.get('/api/portals/:portalId/storage', requireAuth, async (req, res) => {
+  const check = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const usage = await storage.usage(req.params.portalId);
+  // Per project, counting each stored object once even if several versions share it
+  const projects = await pool.query(
+    `SELECT pr.id, pr.name, COALESCE(SUM(o.size), 0)::bigint as used_bytes, COUNT(o.id)::int as object_count
+     FROM projects pr JOIN clients c ON pr.client_id = c.id
+     LEFT JOIN (
+       SELECT DISTINCT f.project_id, v.object_id FROM file_versions v JOIN files f ON v.file_id = f.id
+     ) po ON po.project_id = pr.id
+     LEFT JOIN storage_objects o ON o.id = po.object_id
+     WHERE c.portal_id = $1
+     GROUP BY pr.id ORDER BY used_bytes DESC`,
+    [req.params.portalId]
+  );
+
+  res.json({
+    ...usage,
+    driver: storage.DRIVER,
+    projects: projects.rows.map(p => ({ ...p, used_bytes: parseInt(p.used_bytes, 10) }))
+  });
+});
+
+// ==================== APPROVAL ROUTES ====================
+
+// Put a project or file up for approval (re-requesting a decided one reopens the review)
+async function requestApproval({ targetType, targetId, projectId, user, note }) {
+  const existing = await pool.query(
+    'SELECT id FROM approvals WHERE target_type = $1 AND target_id = $2',
+    [targetType, targetId]
+  );
+
+  const result = await pool.query(
+    `INSERT INTO approvals (id, project_id, target_type, target_id, note, requested_by) 
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (target_type, target_id) DO UPDATE 
+     SET status = 'awaiting_approval', note = EXCLUDED.note, requested_by = EXCLUDED.requested_by, 
+         requested_at = NOW(), decided_at = NULL
+     RETURNING *`,
+    [nanoid(12), projectId, targetType, targetId, note || null, user.id]
+  );
+  const approval = result.rows[0];
+
   await pool.query(
-    'INSERT INTO file_downloads (id, file_id, client_id, ip_address) VALUES ($1, $2, $3, $4)',
-    [nanoid(12), req.params.fileId, req.client.id, req.ip]
+    `INSERT INTO approval_events (id, approval_id, action, actor_type, actor_id, actor_name, actor_email, comment) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [nanoid(12), approval.id, existing.rows.length ? 'reopened' : 'requested', 'user', user.id, user.name || null, user.email || null, note || null]
+  );
+  realtime.publish(projectId, 'approval.changed', { approval_id: approval.id, status: approval.status });
+
+  return approval;
+}
+
+app.post('/api/projects/:projectId/approval', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const approval = await requestApproval({
+    targetType: 'project',
+    targetId: req.params.projectId,
+    projectId: req.params.projectId,
+    user: req.user,
+    note: req.body.note
+  });
+  res.json(approval);
+});
+
+app.post('/api/files/:fileId/approval', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT f.id, f.project_id FROM files f JOIN projects pr ON f.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE f.id = $1 AND p.user_id = $2`,
+    [req.params.fileId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const approval = await requestApproval({
+    targetType: 'file',
+    targetId: req.params.fileId,
+    projectId: check.rows[0].project_id,
+    user: req.user,
+    note: req.body.note
+  });
+  res.json(approval);
+});
+
+// Reopen a decided review
+app.post('/api/approvals/:approvalId/reopen', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT a.* FROM approvals a JOIN projects pr ON a.project_id = pr.id JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE a.id = $1 AND p.user_id = $2`,
+    [req.params.approvalId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+  if (check.rows[0].status === 'awaiting_approval') return res.status(400).json({ error: 'Review is already open' });
+
+  const approval = await requestApproval({
+    targetType: check.rows[0].target_type,
+    targetId: check.rows[0].target_id,
+    projectId: check.rows[0].project_id,
+    user: req.user,
+    note: req.body.note
+  });
+  res.json(approval);
+});
+
+// Approval state plus audit trail for a project and its files
+app.get('/api/projects/:projectId/approvals', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const approvals = await pool.query(
+    `SELECT a.*, f.name as file_name FROM approvals a 
+     LEFT JOIN files f ON a.target_type = 'file' AND a.target_id = f.id
+     WHERE a.project_id = $1 ORDER BY a.requested_at DESC`,
+    [req.params.projectId]
+  );
+  const events = await pool.query(
+    `SELECT e.* FROM approval_events e JOIN approvals a ON e.approval_id = a.id 
+     WHERE a.project_id = $1 ORDER BY e.created_at DESC`,
+    [req.params.projectId]
+  );
+
+  res.json(approvals.rows.map(a => ({ ...a, events: events.rows.filter(e => e.approval_id === a.id) })));
+});
+
+// ==================== BILLING ROUTES ====================
+
+// Load a quote/invoice with its portal (verify ownership)
+async function getOwnedDocument(documentId, userId) {
+  const result = await pool.query(
+    `SELECT d.*, c.portal_id FROM billing_documents d JOIN projects pr ON d.project_id = pr.id 
+     JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE d.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [documentId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Create a draft quote or invoice
+app.post('/api/projects/:projectId/documents', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = billing.parseDocument(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const id = await billing.createDraft(req.params.projectId, req.user.id, fields);
+  res.json({ id });
+});
+
+// List a project's quotes and invoices with how often the client opened them
+app.get('/api/projects/:projectId/documents', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const result = await pool.query(
+    `SELECT d.*, 
+            COUNT(v.id) FILTER (WHERE v.action = 'view')::int as view_count,
+            COUNT(v.id) FILTER (WHERE v.action = 'download')::int as download_count,
+            MIN(v.viewed_at) as first_viewed_at, MAX(v.viewed_at) as last_viewed_at
+     FROM billing_documents d LEFT JOIN billing_document_views v ON v.document_id = d.id
+     WHERE d.project_id = $1 GROUP BY d.id ORDER BY d.created_at DESC`,
+    [req.params.projectId]
+  );
+  res.json(result.rows);
+});
+
+// Document with line items and every view/download by the client
+app.get('/api/documents/:documentId', requireAuth, async (req, res) => {
+  const doc = await getOwnedDocument(req.params.documentId, req.user.id);
+  if (!doc) return res.status(403).json({ error: 'Forbidden' });
+
+  const items = await pool.query('SELECT * FROM billing_line_items WHERE document_id = $1 ORDER BY position', [doc.id]);
+  const views = await pool.query(
+    `SELECT v.*, COALESCE(ct.name, c.name) as client_name FROM billing_document_views v 
+     LEFT JOIN clients c ON v.client_id = c.id LEFT JOIN client_contacts ct ON v.contact_id = ct.id 
+     WHERE v.document_id = $1 ORDER BY v.viewed_at DESC`,
+    [doc.id]
+  );
+  res.json({ ...doc, items: items.rows, views: views.rows });
+});
+
+// Edit a draft, or move an issued document along (invoice: paid/void, quote: void)
+app.patch('/api/documents/:documentId', requireAuth, async (req, res) => {
+  const doc = await getOwnedDocument(req.params.documentId, req.user.id);
+  if (!doc) return res.status(403).json({ error: 'Forbidden' });
+
+  if (doc.status === 'draft') {
+    if (req.body.status !== undefined) return res.status(400).json({ error: 'Issue the draft before changing its status' });
+    const { fields, error } = billing.parseDocument(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    await billing.updateDraft(doc.id, fields);
+  } else {
+    const { status } = req.body;
+    if (Object.keys(req.body).some(key => key !== 'status')) {
+      return res.status(400).json({ error: 'Issued documents can only change status' });
+    }
+    if (!billing.canTransition(doc, status)) {
+      return res.status(400).json({ error: `A ${doc.status} ${doc.kind} cannot become ${status}` });
+    }
+    await pool.query(
+      `UPDATE billing_documents SET status = $1::varchar, paid_at = CASE WHEN $1::varchar = 'paid' THEN NOW() END, updated_at = NOW() WHERE id = $2`,
+      [status, doc.id]
+    );
+  }
+  realtime.publish(doc.project_id, 'document.changed', { document_id: doc.id });
+
+  const result = await pool.query('SELECT * FROM billing_documents WHERE id = $1', [doc.id]);
+  res.json(result.rows[0]);
+});
+
+// Issue a draft: it gets the portal's next number and shows up in the client portal
+app.post('/api/documents/:documentId/issue', requireAuth, async (req, res) => {
+  const doc = await getOwnedDocument(req.params.documentId, req.user.id);
+  if (!doc) return res.status(403).json({ error: 'Forbidden' });
+
+  const number = await billing.issue(doc.id, doc.portal_id);
+  if (!number) return res.status(409).json({ error: 'Already issued' });
+
+  realtime.publish(doc.project_id, 'document.changed', { document_id: doc.id, number });
+  res.json({ id: doc.id, number, status: 'sent' });
+});
+
+// Only drafts can be deleted - issued numbers stay accounted for (void them instead)
+app.delete('/api/documents/:documentId', requireAuth, async (req, res) => {
+  const doc = await getOwnedDocument(req.params.documentId, req.user.id);
+  if (!doc) return res.status(403).json({ error: 'Forbidden' });
+  if (doc.status !== 'draft') return res.status(400).json({ error: 'Issued documents can be voided, not deleted' });
+
+  await pool.query('DELETE FROM billing_documents WHERE id = $1', [doc.id]);
+  res.json({ success: true });
+});
+
+// Send a rendered document (?format=html|pdf)
+async function sendDocument(res, documentId, format) {
+  const doc = await billing.loadForRender(documentId);
+  if (format === 'pdf') {
+    const pdf = await billing.renderPdf(doc);
+    res.set('Content-Type', 'application/pdf');
+    res.attachment(billing.fileName(doc, 'pdf'));
+    return res.send(pdf);
+  }
+  res.type('html').send(billing.renderHtml(doc));
+}
+
+// Preview as the client will see it (not tracked)
+app.get('/api/documents/:documentId/render', requireAuth, async (req, res) => {
+  const doc = await getOwnedDocument(req.params.documentId, req.user.id);
+  if (!doc) return res.status(403).json({ error: 'Forbidden' });
+
+  await sendDocument(res, doc.id, req.query.format);
+});
+
+// ==================== COMMENT ROUTES ====================
+
+// Drop uploads multer already streamed into storage when the request is turned down
+async function discardUploads(files) {
+  for (const file of files || []) await storage.removeObject(file.objectId);
+}
+
+// Claim every upload before the comment exists, so a full quota rejects the whole comment
+async function claimAttachments(files, portalId) {
+  const claimed = [];
+  for (let i = 0; i < files.length; i++) {
+    const { object, duplicate, error } = await claimUpload(files[i], portalId);
+    if (error) {
+      for (const c of claimed) if (!c.duplicate) await storage.removeObject(c.object.id);
+      await discardUploads(files.slice(i + 1));
+      return { error };
+    }
+    claimed.push({ file: files[i], object, duplicate });
+  }
+  return { claimed };
+}
+
+/**
+ * Shared by the dashboard and the portal: validate, store attachments, create the comment,
+ * then notify mentions and publish. Responds on res.
+ */
+async function postComment(req, res, { project, author, uploadedBy }) {
+  const files = req.files || [];
+  const { target_type, target_id, parent_id } = req.body;
+  const parsed = comments.parseBody(req.body.body, { allowEmpty: files.length > 0 });
+  if (parsed.error) {
+    await discardUploads(files);
+    return res.status(400).json({ error: parsed.error });
+  }
+
+  const { claimed, error } = await claimAttachments(files, project.portal_id);
+  if (error) return res.status(413).json({ error });
+
+  const result = await comments.create({
+    projectId: project.id,
+    targetType: target_type,
+    targetId: target_id,
+    parentId: parent_id,
+    author,
+    body: parsed.body
+  });
+  if (result.error) {
+    for (const c of claimed) if (!c.duplicate) await storage.removeObject(c.object.id);
+    return res.status(400).json({ error: result.error });
+  }
+
+  const internal = await comments.isInternalTarget(target_type, target_id);
+  const attachments = [];
+  for (const { file, object } of claimed) {
+    const fileId = await insertFile({ projectId: project.id, file, object, uploadedBy, commentId: result.comment.id });
+    attachments.push({ id: fileId, name: file.originalname });
+    realtime.publish(project.id, 'file.created', { file_id: fileId, name: file.originalname, version: 1 }, { internal });
+  }
+
+  comments.notifyMentions({ mentioned: result.mentioned, projectId: project.id, authorName: author.name, body: parsed.body });
+  realtime.publish(project.id, 'comment.changed', { comment_id: result.comment.id, target_type, target_id }, { internal });
+  res.json({ ...result.comment, attachments });
+}
+
+async function getOwnedComment(commentId, userId) {
+  const result = await pool.query(
+    `SELECT cm.* FROM comments cm JOIN projects pr ON cm.project_id = pr.id JOIN clients c ON pr.client_id = c.id 
+     JOIN portals p ON c.portal_id = p.id WHERE cm.id = $1 AND p.user_id = $2 AND cm.deleted_at IS NULL`,
+    [commentId, userId]
   );
-  
-  res.download(file.rows[0].file_path, file.rows[0].name);
+  return result.rows[0] || null;
+}
+
+// Comments of a project, oldest first (?target_type=&target_id= for one thread)
+app.get('/api/projects/:projectId/comments', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await comments.list(req.params.projectId, { targetType: req.query.target_type, targetId: req.query.target_id }));
+});
+
+// People who can be @mentioned on the project
+app.get('/api/projects/:projectId/mentionable', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await comments.mentionable(req.params.projectId));
+});
+
+// Comment on a task, file or update (multipart with up to MAX_ATTACHMENTS `attachments`, or JSON)
+app.post('/api/projects/:projectId/comments', requireAuth, upload.array('attachments', comments.MAX_ATTACHMENTS), async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, c.portal_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+     WHERE pr.id = $1 AND p.user_id = $2 AND pr.deleted_at IS NULL`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) {
+    await discardUploads(req.files);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  await postComment(req, res, {
+    project: check.rows[0],
+    author: { type: 'user', id: req.user.id, name: req.user.name || req.user.email },
+    uploadedBy: req.user.id
+  });
+});
+
+// Edit your own comment (the previous body is kept as a revision)
+app.patch('/api/comments/:commentId', requireAuth, async (req, res) => {
+  const comment = await getOwnedComment(req.params.commentId, req.user.id);
+  if (!comment) return res.status(403).json({ error: 'Forbidden' });
+  if (comment.author_type !== 'user' || comment.author_id !== req.user.id) {
+    return res.status(403).json({ error: 'You can only edit your own comments' });
+  }
+
+  const parsed = comments.parseBody(req.body.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const { mentioned } = await comments.edit(comment.id, parsed.body);
+  comments.notifyMentions({ mentioned, projectId: comment.project_id, authorName: req.user.name || req.user.email, body: parsed.body });
+  realtime.publish(comment.project_id, 'comment.changed', { comment_id: comment.id, target_type: comment.target_type, target_id: comment.target_id }, {
+    internal: await comments.isInternalTarget(comment.target_type, comment.target_id)
+  });
+  res.json({ success: true });
+});
+
+// Edit history of a comment
+app.get('/api/comments/:commentId/revisions', requireAuth, async (req, res) => {
+  const comment = await getOwnedComment(req.params.commentId, req.user.id);
+  if (!comment) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await comments.revisions(comment.id));
+});
+
+// Delete any comment on your projects (replies stay, the comment shows as deleted)
+app.delete('/api/comments/:commentId', requireAuth, async (req, res) => {
+  const comment = await getOwnedComment(req.params.commentId, req.user.id);
+  if (!comment) return res.status(403).json({ error: 'Forbidden' });
+
+  await comments.remove(comment.id);
+  realtime.publish(comment.project_id, 'comment.changed', { comment_id: comment.id, target_type: comment.target_type, target_id: comment.target_id }, {
+    internal: await comments.isInternalTarget(comment.target_type, comment.target_id)
+  });
+  res.json({ success: true });
 });
 
 // ==================== CLIENT PORTAL ROUTES (magic link access) ====================
 
+// Email me a new link (public - always answers the same so emails can't be probed)
+app.post('/api/portal/request-link', async (req, res) => {
+  const { email } = req.body;
+  if (!email) return res.status(400).json({ error: 'Email required' });
+
+  try {
+    // On a portal host only that portal's contacts are considered
+    const result = await pool.query(
+      `SELECT ct.*, c.portal_id, p.name as portal_name FROM client_contacts ct 
+       JOIN clients c ON ct.client_id = c.id JOIN portals p ON c.portal_id = p.id 
+       WHERE LOWER(ct.email) = LOWER($1)
+         AND ($2::varchar IS NULL OR c.portal_id = $2)
+         AND ct.deleted_at IS NULL AND c.deleted_at IS NULL AND p.deleted_at IS NULL
+         AND ct.token_revoked_at IS NULL
+         AND (ct.link_sent_at IS NULL OR ct.link_sent_at < NOW() - INTERVAL '1 minute')`,
+      [email.trim(), req.portal ? req.portal.id : null]
+    );
+
+    for (let contact of result.rows) {
+      // Revoked contacts are skipped above - only the freelancer can restore access
+      if (!isTokenUsable(contact)) contact = { ...contact, ...(await rotateContactToken(contact.id)) };
+      await sendPortalLink(contact, contact.portal_name);
+    }
+  } catch (e) {
+    console.error('Link request failed:', e.message);
+  }
+
+  res.json({ success: true });
+});
+
+// Who the link belongs to and what their role lets them do
+app.get('/api/portal/me', clientAuth, (req, res) => {
+  res.json({
+    id: req.contact.id,
+    name: req.contact.name,
+    email: req.contact.email,
+    role: req.contact.role,
+    client: { id: req.client.id, name: req.client.name }
+  });
+});
+
 app.get('/api/portal/projects', clientAuth, async (req, res) => {
-  await pool.query('INSERT INTO client_views (id, client_id, page) VALUES ($1, $2, $3)', [nanoid(12), req.client.id, 'projects']);
+  await pool.query(
+    'INSERT INTO client_views (id, client_id, contact_id, page) VALUES ($1, $2, $3, $4)',
+    [nanoid(12), req.client.id, req.contact.id, 'projects']
+  );
   
-  const result = await pool.query('SELECT * FROM projects WHERE client_id = $1 ORDER BY created_at DESC', [req.client.id]);
+  const result = await pool.query(
+    "SELECT * FROM projects WHERE client_id = $1 AND deleted_at IS NULL AND status != 'archived' ORDER BY created_at DESC",
+    [req.client.id]
+  );
   res.json(result.rows);
 });
 
+// The same search, limited to this client's projects and what the portal shows them
+app.get('/api/portal/search', clientAuth, async (req, res) => {
+  const { params, error } = search.parseQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  res.json(await search.forClient(req.client.id, params));
+});
+
 app.get('/api/portal/projects/:projectId', clientAuth, async (req, res) => {
-  await pool.query('INSERT INTO client_views (id, client_id, project_id, page) VALUES ($1, $2, $3, $4)', [nanoid(12), req.client.id, req.params.projectId, 'project']);
-  
-  const project = await pool.query('SELECT * FROM projects WHERE id = $1 AND client_id = $2', [req.params.projectId, req.client.id]);
+  const project = await pool.query('SELECT * FROM projects WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL', [req.params.projectId, req.client.id]);
   if (project.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+
+  // Live refreshes (?refresh=1) re-read data without counting as a new view
+  if (!req.query.refresh) {
+    const seen = await pool.query('SELECT 1 FROM client_views WHERE client_id = $1 AND project_id = $2 LIMIT 1', [req.client.id, req.params.projectId]);
+    await pool.query(
+      'INSERT INTO client_views (id, client_id, contact_id, project_id, page) VALUES ($1, $2, $3, $4, $5)',
+      [nanoid(12), req.client.id, req.contact.id, req.params.projectId, 'project']
+    );
+
+    webhooks.emit(req.client.portal_id, 'client.viewed', {
+      project: { id: req.params.projectId, name: project.rows[0].name },
+      client: { id: req.client.id, name: req.client.name, email: req.client.email },
+      contact: { id: req.contact.id, name: req.contact.name, email: req.contact.email, role: req.contact.role },
+      first_view: seen.rows.length === 0
+    });
+    if (seen.rows.length === 0) {
+      notifications.notify(req.client.portal_id, 'project.first_view', {
+        clientId: req.client.id,
+        projectId: req.params.projectId,
+        summary: `${actorName(req)} opened ${project.rows[0].name} for the first time`
+      });
+    }
+  }
   
-  const tasks = await pool.query('SELECT id, title, stage, due_date FROM tasks WHERE project_id = $1 ORDER BY position', [req.params.projectId]);
+  // Internal tasks stay on the freelancer's board
+  const tasks = await pool.query(
+    'SELECT id, title, stage, due_date FROM tasks WHERE project_id = $1 AND client_visible ORDER BY position, created_at',
+    [req.params.projectId]
+  );
+  const stages = await workflows.stagesFor(req.params.projectId);
   const updates = await pool.query(
-    `SELECT u.id, u.content, u.created_at, u.author_type, c.name as client_name FROM updates u 
+    `SELECT u.id, u.content, u.created_at, u.edited_at, u.author_type, COALESCE(ct.name, c.name) as client_name FROM updates u 
      LEFT JOIN clients c ON u.author_type = 'client' AND u.author_id = c.id
-     WHERE u.project_id = $1 ORDER BY u.created_at DESC LIMIT 10`,
+     LEFT JOIN client_contacts ct ON u.contact_id = ct.id
+     WHERE u.project_id = $1 AND u.deleted_at IS NULL ORDER BY u.created_at DESC LIMIT 10`,
+    [req.params.projectId]
+  );
+
+  // Read receipts for freelancer updates this client now has on screen
+  const unreadIds = updates.rows.filter(u => u.author_type === 'user').map(u => u.id);
+  if (unreadIds.length > 0) {
+    const receipts = await pool.query(
+      `INSERT INTO update_reads (update_id, client_id) SELECT unnest($1::varchar[]), $2 
+       ON CONFLICT DO NOTHING RETURNING update_id`,
+      [unreadIds, req.client.id]
+    );
+    if (receipts.rows.length > 0) {
+      realtime.publish(req.params.projectId, 'update.seen', { update_ids: receipts.rows.map(r => r.update_id), client_name: req.contact.name });
+    }
+  }
+  const files = await pool.query(
+    `SELECT f.id, f.name, f.file_size, f.created_at, f.current_version, a.id as approval_id, a.status as approval_status, a.note as approval_note 
+     FROM files f LEFT JOIN approvals a ON a.target_type = 'file' AND a.target_id = f.id
+     WHERE f.project_id = $1 AND f.deleted_at IS NULL AND ${comments.CLIENT_VISIBLE_FILE} ORDER BY f.created_at DESC`,
+    [req.params.projectId]
+  );
+  const versions = await pool.query(
+    `SELECT v.file_id, v.version, v.name, v.file_size, v.created_at FROM file_versions v 
+     JOIN files f ON v.file_id = f.id WHERE f.project_id = $1 ORDER BY v.version DESC`,
+    [req.params.projectId]
+  );
+  files.rows.forEach(f => { f.versions = versions.rows.filter(v => v.file_id === f.id); });
+  const approval = await pool.query(
+    "SELECT id, status, note, requested_at, decided_at FROM approvals WHERE target_type = 'project' AND target_id = $1",
+    [req.params.projectId]
+  );
+  const portal = await pool.query('SELECT show_time_to_clients FROM portals WHERE id = $1', [req.client.portal_id]);
+  const timeSummary = portal.rows[0].show_time_to_clients ? await timetracking.clientSummary(req.params.projectId) : null;
+  // Drafts stay private until issued
+  const documents = await pool.query(
+    `SELECT id, kind, number, status, currency, total_cents, issue_date, due_date, accepted_at, paid_at FROM billing_documents 
+     WHERE project_id = $1 AND status != 'draft' ORDER BY issue_date DESC, created_at DESC`,
     [req.params.projectId]
   );
-  const files = await pool.query('SELECT id, name, file_size, created_at FROM files WHERE project_id = $1 ORDER BY created_at DESC', [req.params.projectId]);
   
-  res.json({ ...project.rows[0], tasks: tasks.rows, updates: updates.rows, files: files.rows });
+  res.json({
+    ...project.rows[0],
+    stages: stages.map(({ key, name }) => ({ key, name })),
+    tasks: tasks.rows,
+    updates: updates.rows,
+    files: files.rows,
+    // Files still to come
+    file_slots: (await templates.slots(req.params.projectId)).filter(s => !s.file_id).map(({ id, name, description }) => ({ id, name, description })),
+    approval: approval.rows[0] || null,
+    documents: documents.rows,
+    time_summary: timeSummary,
+    comments: await comments.list(req.params.projectId, { clientView: true }),
+    mentionable: await comments.mentionable(req.params.projectId)
+  });
 });
 
-app.post('/api/portal/projects/:projectId/updates', clientAuth, async (req, res) => {
-  const project = await pool.query('SELECT id FROM projects WHERE id = $1 AND client_id = $2', [req.params.projectId, req.client.id]);
+app.post('/api/portal/projects/:projectId/updates', clientAuth, requireRole('commenter'), async (req, res) => {
+  const project = await pool.query('SELECT id, name FROM projects WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL', [req.params.projectId, req.client.id]);
   if (project.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
   
   const { content } = req.body;
+  if (!content || !content.trim()) return res.status(400).json({ error: 'Content required' });
   const id = nanoid(12);
   
   await pool.query(
-    'INSERT INTO updates (id, project_id, author_type, author_id, content) VALUES ($1, $2, $3, $4, $5)',
-    [id, req.params.projectId, 'client', req.client.id, content]
+    'INSERT INTO updates (id, project_id, author_type, author_id, contact_id, content) VALUES ($1, $2, $3, $4, $5, $6)',
+    [id, req.params.projectId, 'client', req.client.id, req.contact.id, content]
   );
+  realtime.publish(req.params.projectId, 'update.created', { update_id: id, author_type: 'client', client_name: req.contact.name });
+  webhooks.emit(req.client.portal_id, 'update.posted', {
+    update: { id, project_id: req.params.projectId, author_type: 'client', author_id: req.client.id, content },
+    contact: { id: req.contact.id, name: req.contact.name, email: req.contact.email, role: req.contact.role }
+  });
+  notifications.notify(req.client.portal_id, 'client.replied', {
+    clientId: req.client.id,
+    projectId: req.params.projectId,
+    summary: `${actorName(req)} replied on ${project.rows[0].name}: "${content.length > 140 ? content.slice(0, 140) + '…' : content}"`
+  });
   
   res.json({ id });
 });
 
+// Comment on a task, file or update the client can see (same body as the dashboard route)
+app.post('/api/portal/projects/:projectId/comments', clientAuth, requireRole('commenter'), upload.array('attachments', comments.MAX_ATTACHMENTS), async (req, res) => {
+  const project = await pool.query('SELECT id FROM projects WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL', [req.params.projectId, req.client.id]);
+  if (project.rows.length === 0) {
+    await discardUploads(req.files);
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  await postComment(req, res, {
+    project: { id: req.params.projectId, portal_id: req.client.portal_id },
+    author: { type: 'contact', id: req.contact.id, name: req.contact.name },
+    uploadedBy: req.contact.id
+  });
+});
+
+// Edit your own comment
+app.patch('/api/portal/comments/:commentId', clientAuth, requireRole('commenter'), async (req, res) => {
+  const comment = await pool.query(
+    `SELECT cm.* FROM comments cm JOIN projects pr ON cm.project_id = pr.id 
+     WHERE cm.id = $1 AND pr.client_id = $2 AND cm.author_type = 'contact' AND cm.author_id = $3 AND cm.deleted_at IS NULL`,
+    [req.params.commentId, req.client.id, req.contact.id]
+  );
+  if (comment.rows.length === 0) return res.status(403).json({ error: 'You can only edit your own comments' });
+
+  const parsed = comments.parseBody(req.body.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const { id, project_id, target_type, target_id } = comment.rows[0];
+  const { mentioned } = await comments.edit(id, parsed.body);
+  comments.notifyMentions({ mentioned, projectId: project_id, authorName: req.contact.name, body: parsed.body });
+  realtime.publish(project_id, 'comment.changed', { comment_id: id, target_type, target_id });
+  res.json({ success: true });
+});
+
+// Open (?format=html, tracked as a view) or download (?format=pdf) a quote or invoice
+app.get('/api/portal/documents/:documentId', clientAuth, async (req, res) => {
+  const doc = await pool.query(
+    `SELECT d.id, d.project_id, d.kind, d.number FROM billing_documents d JOIN projects pr ON d.project_id = pr.id 
+     WHERE d.id = $1 AND pr.client_id = $2 AND pr.deleted_at IS NULL AND d.status != 'draft'`,
+    [req.params.documentId, req.client.id]
+  );
+  if (doc.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+
+  const format = req.query.format === 'pdf' ? 'pdf' : 'html';
+  const seen = await pool.query('SELECT 1 FROM billing_document_views WHERE document_id = $1 LIMIT 1', [doc.rows[0].id]);
+  await billing.recordView(doc.rows[0].id, req.client.id, req.contact.id, format === 'pdf' ? 'download' : 'view', req.ip);
+  realtime.publish(doc.rows[0].project_id, 'document.changed', { document_id: doc.rows[0].id, viewed: true });
+  if (seen.rows.length === 0) {
+    notifications.notify(req.client.portal_id, 'document.first_view', {
+      clientId: req.client.id,
+      projectId: doc.rows[0].project_id,
+      summary: `${actorName(req)} opened ${doc.rows[0].kind} ${doc.rows[0].number} for the first time`
+    });
+  }
+
+  await sendDocument(res, doc.rows[0].id, format);
+});
+
+// Accept a quote
+app.post('/api/portal/documents/:documentId/accept', clientAuth, requireRole('approver'), async (req, res) => {
+  const check = await pool.query(
+    `SELECT d.id FROM billing_documents d JOIN projects pr ON d.project_id = pr.id 
+     WHERE d.id = $1 AND pr.client_id = $2 AND pr.deleted_at IS NULL AND d.kind = 'quote'`,
+    [req.params.documentId, req.client.id]
+  );
+  if (check.rows.length === 0) return res.status(404).json({ error: 'Not found' });
+
+  // Only a sent quote can be accepted - guards against double submits and voided quotes
+  const result = await pool.query(
+    `UPDATE billing_documents SET status = 'accepted', accepted_at = NOW(), accepted_by = $1, accepted_contact_id = $2, accepted_ip = $3, updated_at = NOW() 
+     WHERE id = $4 AND status = 'sent' RETURNING id, project_id, number, status, accepted_at`,
+    [req.client.id, req.contact.id, req.ip, req.params.documentId]
+  );
+  if (result.rows.length === 0) return res.status(409).json({ error: 'This quote can no longer be accepted' });
+
+  realtime.publish(result.rows[0].project_id, 'document.changed', { document_id: result.rows[0].id, status: 'accepted' });
+  notifications.notify(req.client.portal_id, 'quote.accepted', {
+    clientId: req.client.id,
+    projectId: result.rows[0].project_id,
+    summary: `${actorName(req)} accepted quote ${result.rows[0].number}`
+  });
+  res.json(result.rows[0]);
+});
+
+// Live event stream for the client portal (SSE - EventSource passes the token as ?token=)
+app.get('/api/portal/projects/:projectId/events', clientAuth, async (req, res) => {
+  const project = await pool.query('SELECT id FROM projects WHERE id = $1 AND client_id = $2 AND deleted_at IS NULL', [req.params.projectId, req.client.id]);
+  if (project.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  realtime.openStream(req, res, req.params.projectId, { type: 'client', id: req.contact.id, name: req.contact.name });
+});
+
+// Approve or request changes (recorded with identity, IP and time for the audit trail)
+app.post('/api/portal/approvals/:approvalId/decision', clientAuth, requireRole('approver'), async (req, res) => {
+  const { decision, comment } = req.body;
+  if (!['approved', 'changes_requested'].includes(decision)) return res.status(400).json({ error: 'Invalid decision' });
+  if (decision === 'changes_requested' && !comment) return res.status(400).json({ error: 'Please describe the changes you need' });
+
+  // Nothing trashed can be signed off: neither the project nor the file under review
+  const check = await pool.query(
+    `SELECT a.id FROM approvals a JOIN projects pr ON a.project_id = pr.id 
+     WHERE a.id = $1 AND pr.client_id = $2 AND pr.deleted_at IS NULL
+       AND (a.target_type <> 'file' OR EXISTS (
+         SELECT 1 FROM files f WHERE f.id = a.target_id AND f.deleted_at IS NULL AND ${comments.CLIENT_VISIBLE_FILE}))`,
+    [req.params.approvalId, req.client.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  // Only an open review can be decided - guards against double submits
+  const result = await pool.query(
+    `UPDATE approvals SET status = $1, decided_at = NOW() 
+     WHERE id = $2 AND status = 'awaiting_approval' RETURNING *`,
+    [decision, req.params.approvalId]
+  );
+  if (result.rows.length === 0) return res.status(409).json({ error: 'This review is already closed' });
+
+  await pool.query(
+    `INSERT INTO approval_events (id, approval_id, action, actor_type, actor_id, actor_name, actor_email, comment, ip_address, user_agent) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [nanoid(12), req.params.approvalId, decision, 'client', req.contact.id, req.contact.name, req.contact.email, comment || null, req.ip, req.headers['user-agent'] || null]
+  );
+  realtime.publish(result.rows[0].project_id, 'approval.changed', { approval_id: req.params.approvalId, status: decision });
+
+  res.json(result.rows[0]);
+});
+
 // ==================== ANALYTICS ====================
 
 app.get('/api/clients/:clientId/activity', requireAuth, async (req, res) => {
@@ -504,22 +2370,368 @@ app.get('/api/clients/:clientId/activity', requireAuth, async (req, res) => {
   );
   if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
 
-  const views = await pool.query('SELECT * FROM client_views WHERE client_id = $1 ORDER BY viewed_at DESC LIMIT 50', [req.params.clientId]);
+  // Per person: what each contact viewed, downloaded and replied
+  const people = await pool.query(
+    `SELECT ct.id, ct.name, ct.email, ct.role, ct.last_seen_at,
+            (SELECT COUNT(*) FROM client_views v WHERE v.contact_id = ct.id)::int as views,
+            (SELECT COUNT(*) FROM file_downloads fd WHERE fd.contact_id = ct.id)::int as downloads,
+            (SELECT COUNT(*) FROM updates u WHERE u.contact_id = ct.id AND u.deleted_at IS NULL)::int as replies
+     FROM client_contacts ct WHERE ct.client_id = $1 AND ct.deleted_at IS NULL ORDER BY ct.last_seen_at DESC NULLS LAST`,
+    [req.params.clientId]
+  );
+  const views = await pool.query(
+    `SELECT v.*, ct.name as contact_name FROM client_views v LEFT JOIN client_contacts ct ON v.contact_id = ct.id 
+     WHERE v.client_id = $1 ORDER BY v.viewed_at DESC LIMIT 50`,
+    [req.params.clientId]
+  );
   const downloads = await pool.query(
-    `SELECT fd.*, f.name as file_name FROM file_downloads fd JOIN files f ON fd.file_id = f.id WHERE fd.client_id = $1 ORDER BY fd.downloaded_at DESC LIMIT 50`,
+    `SELECT fd.*, COALESCE(v.name, f.name) as file_name, ct.name as contact_name FROM file_downloads fd 
+     JOIN files f ON fd.file_id = f.id LEFT JOIN file_versions v ON fd.version_id = v.id
+     LEFT JOIN client_contacts ct ON fd.contact_id = ct.id
+     WHERE fd.client_id = $1 ORDER BY fd.downloaded_at DESC LIMIT 50`,
+    [req.params.clientId]
+  );
+  // Latest version each file is on vs. the newest one this client actually downloaded
+  const files = await pool.query(
+    `SELECT f.id, f.name, f.project_id, f.current_version, 
+            MAX(fd.version) as latest_downloaded_version, MAX(fd.downloaded_at) as last_downloaded_at
+     FROM files f JOIN projects pr ON f.project_id = pr.id
+     LEFT JOIN file_downloads fd ON fd.file_id = f.id AND fd.client_id = $1
+     WHERE pr.client_id = $1 AND f.deleted_at IS NULL GROUP BY f.id ORDER BY f.created_at DESC`,
     [req.params.clientId]
   );
+  files.rows.forEach(f => { f.has_latest = f.latest_downloaded_version === f.current_version; });
   
-  res.json({ views: views.rows, downloads: downloads.rows });
+  res.json({ people: people.rows, views: views.rows, downloads: downloads.rows, files: files.rows });
+});
+
+// Engagement report for a whole portal (?interval=day|week&from=&to=)
+app.get('/api/portals/:portalId/analytics', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const range = analytics.parseRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  const clients = await pool.query('SELECT id FROM clients WHERE portal_id = $1 AND deleted_at IS NULL', [req.params.portalId]);
+  const projects = await pool.query(
+    'SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id WHERE c.portal_id = $1 AND pr.deleted_at IS NULL AND c.deleted_at IS NULL',
+    [req.params.portalId]
+  );
+
+  const report = await analytics.engagementReport({
+    projectIds: projects.rows.map(p => p.id),
+    clientIds: clients.rows.map(c => c.id),
+    includeListViews: true,
+    ...range
+  });
+  res.json(report);
+});
+
+// Engagement report for one project
+app.get('/api/projects/:projectId/analytics', requireAuth, async (req, res) => {
+  const check = await pool.query(
+    `SELECT pr.id, pr.client_id FROM projects pr JOIN clients c ON pr.client_id = c.id JOIN portals p ON c.portal_id = p.id WHERE pr.id = $1 AND p.user_id = $2`,
+    [req.params.projectId, req.user.id]
+  );
+  if (check.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const range = analytics.parseRange(req.query);
+  if (range.error) return res.status(400).json({ error: range.error });
+
+  const report = await analytics.engagementReport({
+    projectIds: [req.params.projectId],
+    clientIds: [check.rows[0].client_id],
+    includeListViews: false,
+    ...range
+  });
+  res.json(report);
+});
+
+// ==================== SEARCH ROUTES ====================
+
+// Full-text search over the user's portals: ?q=&portal_id=&client_id=&project_id=&type=&from=&to=&limit=&offset=
+app.get('/api/search', requireAuth, async (req, res) => {
+  const { params, error } = search.parseQuery(req.query);
+  if (error) return res.status(400).json({ error });
+  res.json(await search.forUser(req.user.id, params));
+});
+
+// ==================== JOB ROUTES ====================
+
+async function getOwnedJob(jobId, userId) {
+  const result = await pool.query(
+    `SELECT j.* FROM jobs j JOIN portals p ON j.portal_id = p.id 
+     WHERE j.id = $1 AND p.user_id = $2 AND p.deleted_at IS NULL`,
+    [jobId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+// Scheduled jobs of a portal (?type= and ?project_id= narrow the list)
+app.get('/api/portals/:portalId/jobs', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await jobs.list(req.params.portalId, { type: req.query.type, projectId: req.query.project_id }));
+});
+
+app.post('/api/portals/:portalId/jobs', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = jobs.parseJob(req.body);
+  if (error) return res.status(400).json({ error });
+  if (fields.project_id) {
+    const project = await pool.query(
+      'SELECT pr.id FROM projects pr JOIN clients c ON pr.client_id = c.id WHERE pr.id = $1 AND c.portal_id = $2 AND pr.deleted_at IS NULL',
+      [fields.project_id, req.params.portalId]
+    );
+    if (project.rows.length === 0) return res.status(400).json({ error: 'Unknown project' });
+  }
+
+  res.json(await jobs.create(req.params.portalId, fields));
+});
+
+// A job with its latest runs
+app.get('/api/jobs/:jobId', requireAuth, async (req, res) => {
+  const job = await getOwnedJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json({ ...job, runs: await jobs.runs(job.id, { limit: 10 }) });
+});
+
+app.patch('/api/jobs/:jobId', requireAuth, async (req, res) => {
+  const job = await getOwnedJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(403).json({ error: 'Forbidden' });
+
+  const { fields, error } = jobs.parseJob(req.body, { partial: true, type: job.type });
+  if (error) return res.status(400).json({ error });
+  if (Object.keys(fields).length === 0) return res.status(400).json({ error: 'No changes' });
+
+  res.json(await jobs.update(job.id, fields));
+});
+
+// Removes its run history with it
+app.delete('/api/jobs/:jobId', requireAuth, async (req, res) => {
+  const job = await getOwnedJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(403).json({ error: 'Forbidden' });
+
+  await pool.query('DELETE FROM jobs WHERE id = $1', [job.id]);
+  res.json({ success: true });
+});
+
+// Run a job right away, due or not; answers with the finished run
+app.post('/api/jobs/:jobId/run', requireAuth, async (req, res) => {
+  const job = await getOwnedJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(403).json({ error: 'Forbidden' });
+
+  const { run, error, code } = await jobs.runNow(job.id);
+  if (error) return res.status(409).json({ error, code });
+  res.json(run);
+});
+
+app.get('/api/jobs/:jobId/runs', requireAuth, async (req, res) => {
+  const job = await getOwnedJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(403).json({ error: 'Forbidden' });
+
+  res.json(await jobs.runs(job.id, { limit: req.query.limit }));
+});
+
+// ==================== EXPORT & PRIVACY ROUTES ====================
+
+// Imports land on local disk rather than in storage: yauzl reads a ZIP from its end
+const importUpload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: parseInt(process.env.MAX_IMPORT_MB || '2048', 10) * 1024 * 1024 }
+});
+
+const IMPORT_ERRORS = { INVALID: 400, CONFLICT: 409, QUOTA: 413 };
+// Taken since the import checked; any other unique violation is a failed import
+const IMPORT_CONFLICTS = {
+  idx_portals_subdomain_live: 'Subdomain taken by another portal',
+  idx_clients_email_live: 'Client email already exists'
+};
+
+// Stream an export ZIP and note it in the audit log
+async function sendExport(req, res, { portalId, clientId = null, fileName }) {
+  let archive;
+  try {
+    archive = await backup.exportArchive({ portalId, clientId });
+  } catch (e) {
+    console.error('Export failed:', e.message);
+    return res.status(500).json({ error: 'Failed to export' });
+  }
+  const { zip, counts } = archive;
+  zip.on('error', error => {
+    console.error('Export failed:', error.message);
+    res.destroy(error);
+  });
+  res.set('Content-Type', 'application/zip');
+  res.attachment(`${fileName}-${new Date().toISOString().slice(0, 10)}.zip`);
+  zip.outputStream.pipe(res);
+
+  // The ZIP is already on its way, so a failure here can only be logged
+  await privacy.audit(pool, {
+    userId: req.user.id,
+    portalId,
+    action: clientId ? 'client.exported' : 'portal.exported',
+    subjectType: clientId ? 'client' : 'portal',
+    subjectId: clientId || portalId,
+    details: { counts }
+  }).catch(error => console.error('Audit log of export failed:', error.message));
+}
+
+// Whole portal: clients, people, projects, tasks, updates, comments, files, activity, billing
+app.get('/api/portals/:portalId/export', requireAuth, async (req, res) => {
+  const portal = await pool.query('SELECT id, subdomain FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) return res.status(403).json({ error: 'Forbidden' });
+
+  await sendExport(req, res, { portalId: portal.rows[0].id, fileName: `portal-${portal.rows[0].subdomain}` });
+});
+
+// One client with everything of theirs - also the answer to a data access request
+app.get('/api/clients/:clientId/export', requireAuth, async (req, res) => {
+  const client = await getOwnedClient(req.params.clientId, req.user.id);
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  await sendExport(req, res, { portalId: client.portal_id, clientId: client.id, fileName: `client-${client.id}` });
+});
+
+// Run an import from the uploaded `archive` and answer with what came of it
+async function runImport(req, res, options) {
+  if (!req.file) return res.status(400).json({ error: 'archive (a ZIP export) is required' });
+
+  try {
+    const result = await backup.importArchive(req.file.path, { userId: req.user.id, ...options });
+    if (result.error) return res.status(IMPORT_ERRORS[result.code]).json({ error: result.error });
+    if (result.portal) domains.clearCache();
+
+    const subject = result.portal ? { subjectType: 'portal', subjectId: result.portal.id } : { subjectType: 'client', subjectId: result.client.id };
+    await privacy.audit(pool, {
+      userId: req.user.id,
+      portalId: result.portal ? result.portal.id : options.portalId,
+      action: `${subject.subjectType}.imported`,
+      ...subject,
+      details: { counts: result.counts }
+    }).catch(error => console.error('Audit log of import failed:', error.message));
+    res.json(result);
+  } catch (e) {
+    if (e.code === '23505' && IMPORT_CONFLICTS[e.constraint]) return res.status(409).json({ error: IMPORT_CONFLICTS[e.constraint] });
+    console.error('Import failed:', e.message);
+    res.status(500).json({ error: 'Failed to import' });
+  } finally {
+    fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+  }
+}
+
+// Restore a portal export as a new portal (subdomain and name override the exported ones)
+app.post('/api/import', requireAuth, importUpload.single('archive'), async (req, res) => {
+  await runImport(req, res, { subdomain: req.body.subdomain, name: req.body.name });
+});
+
+// Restore a client export into one of your portals
+app.post('/api/portals/:portalId/import', requireAuth, importUpload.single('archive'), async (req, res) => {
+  const portal = await pool.query('SELECT id FROM portals WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL', [req.params.portalId, req.user.id]);
+  if (portal.rows.length === 0) {
+    if (req.file) fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    return res.status(403).json({ error: 'Forbidden' });
+  }
+
+  await runImport(req, res, { portalId: req.params.portalId });
+});
+
+/**
+ * Right to erasure: the client's people go and their tracking records are anonymized (see
+ * privacy.eraseClient). Works on trashed clients too. confirm must repeat the client's name;
+ * keep_records: false deletes the client with its projects, files and invoices instead of
+ * keeping them under an anonymous placeholder. The outcome goes into the audit log.
+ */
+app.post('/api/clients/:clientId/erase', requireAuth, async (req, res) => {
+  const result = await pool.query(
+    `SELECT c.* FROM clients c JOIN portals p ON c.portal_id = p.id
+     WHERE c.id = $1 AND p.user_id = $2 AND p.deleted_at IS NULL`,
+    [req.params.clientId, req.user.id]
+  );
+  const client = result.rows[0];
+  if (!client) return res.status(403).json({ error: 'Forbidden' });
+
+  const { confirm, reason, keep_records } = req.body;
+  if (confirm !== client.name) return res.status(400).json({ error: "confirm must be the client's name" });
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 500)) {
+    return res.status(400).json({ error: 'reason can be up to 500 characters' });
+  }
+  const keepRecords = keep_records !== false;
+  if (client.erased_at && keepRecords) return res.status(409).json({ error: 'Client already erased' });
+
+  try {
+    const details = await privacy.eraseClient(client, { userId: req.user.id, reason: reason || null, keepRecords });
+    res.json({ success: true, ...details });
+  } catch (e) {
+    console.error('Erasure failed:', e.message);
+    res.status(500).json({ error: 'Failed to erase client' });
+  }
+});
+
+// Exports, imports and erasures you did, newest first (?portal_id= for one portal)
+app.get('/api/audit-log', requireAuth, async (req, res) => {
+  res.json(await privacy.log(req.user.id, { portalId: req.query.portal_id }));
+});
+
+// ==================== TRASH ROUTES ====================
+
+// Everything the user deleted that can still be restored
+app.get('/api/trash', requireAuth, async (req, res) => {
+  res.json({ retention_days: trash.RETENTION_DAYS, items: await trash.list(req.user.id) });
+});
+
+app.post('/api/trash/:type/:id/restore', requireAuth, async (req, res) => {
+  const item = await trash.findOwned(req.params.type, req.params.id, req.user.id);
+  if (!item) return res.status(404).json({ error: 'Not in trash' });
+
+  try {
+    await trash.restore(req.params.type, req.params.id);
+    if (req.params.type === 'portal') domains.clearCache();
+    res.json({ success: true });
+  } catch (e) {
+    if (e.code === '23505') {
+      const conflicts = { portal: 'Subdomain taken by another portal', contact: 'Contact email already exists' };
+      return res.status(409).json({ error: conflicts[req.params.type] || 'Client email already exists' });
+    }
+    res.status(500).json({ error: 'Failed to restore' });
+  }
+});
+
+// Delete for good without waiting for the retention window
+app.delete('/api/trash/:type/:id', requireAuth, async (req, res) => {
+  const item = await trash.findOwned(req.params.type, req.params.id, req.user.id);
+  if (!item) return res.status(404).json({ error: 'Not in trash' });
+
+  try {
+    await trash.purge(req.params.type, req.params.id);
+  } catch (e) {
+    console.error('Purge failed:', e.message);
+    return res.status(500).json({ error: 'Failed to delete' });
+  }
+  res.json({ success: true });
 });
 
 // ==================== STATIC FILES ====================
 
-// Protected dashboard
-app.get('/', requireAuth, (req, res) => {
+// Protected dashboard (portal hosts serve the client portal at their root)
+app.get('/', (req, res, next) => {
+  if (req.portal) return res.sendFile(path.join(__dirname, 'public', 'portal.html'));
+  next();
+}, requireAuth, (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Login page (local accounts)
+app.get('/login', (req, res) => {
+  if (auth.provider.name !== 'local') return res.redirect('/');
+  res.sendFile(path.join(__dirname, 'public', 'login.html'));
+});
+
 // Client portal (public with token)
 app.get('/portal', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'portal.html'));
@@ -531,11 +2743,19 @@ app.use(express.static('public'));
 
 const PORT = process.env.PORT || 3000;
 
-initDb().then(() => {
+migrate.up().then(applied => {
+  applied.forEach(m => console.log(`Applied migration ${m.version}_${m.name}`));
+  storage.driver(); // fail fast on a misconfigured driver
+  notifications.startNotificationWorker();
+  webhooks.startWebhookWorker();
+  realtime.startRealtime();
+  storage.startStorageSweeper();
+  trash.startTrashPurger();
+  jobs.startJobWorker();
   app.listen(PORT, () => {
     console.log(`Handoff running on port ${PORT}`);
   });
 }).catch(err => {
-  console.error('DB init failed:', err);
+  console.error('Migrations failed:', err);
   process.exit(1);
 });